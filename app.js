@@ -1,134 +1,157 @@
 /**
  * Pixel Morph - Transform Your Art
- * Physics-based particle animation that morphs drawings into target images.
+ * Page UI: wires the controls, pointer input and export to the particle engine.
  */
 
-class Particle {
-    constructor(x, y, targetX, targetY, color, delay) {
-        this.x = x;
-        this.y = y;
-        this.targetX = targetX;
-        this.targetY = targetY;
-        this.color = color;
-        this.vx = (Math.random() - 0.5) * 5;
-        this.vy = (Math.random() - 0.5) * 5;
-        this.size = 2;
-        this.delay = delay;
-        this.morphed = false;
-        // Varied ease for natural staggered arrival
-        this.ease = 0.02 + Math.random() * 0.05;
-        this.friction = 0.85 + Math.random() * 0.1;
-        this.rgb = this.parseRgb(color);
-    }
-
-    parseRgb(color) {
-        if (color.startsWith('rgb')) {
-            const matches = color.match(/[\d.]+/g);
-            return {
-                r: parseInt(matches[0]),
-                g: parseInt(matches[1]),
-                b: parseInt(matches[2]),
-                a: matches[3] ? parseFloat(matches[3]) : 1.0
-            };
-        }
-        // Basic hex support inside particle for completeness
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(color);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16),
-            a: 1.0
-        } : { r: 255, g: 255, b: 255, a: 1.0 };
-    }
-
-    update(currentFrame, morphStartFrame) {
-        if (this.morphed) return; // Stop processing if already at target
-        if (currentFrame < morphStartFrame + this.delay) return;
-
-        // Movement physics
-        const dx = this.targetX - this.x;
-        const dy = this.targetY - this.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
-
-        // Smooth acceleration towards target
-        this.vx += dx * this.ease;
-        this.vy += dy * this.ease;
-
-        // Organic noise - scale it down as we get closer to target
-        // This prevents "bouncing around" indefinitely when near the goal
-        const noiseScale = Math.min(1.0, distance / 100);
-        if (distance > 2) {
-            this.vx += (Math.random() - 0.5) * 2.0 * noiseScale;
-            this.vy += (Math.random() - 0.5) * 2.0 * noiseScale;
-        }
-
-        // Apply friction
-        this.vx *= this.friction;
-        this.vy *= this.friction;
-
-        this.x += this.vx;
-        this.y += this.vy;
-
-        // Snapping threshold - slightly increased for faster settling
-        if (distance < 0.5) {
-            this.x = this.targetX;
-            this.y = this.targetY;
-            this.vx = 0;
-            this.vy = 0;
-            this.morphed = true;
-        }
-    }
-
-    // New method to update particle's properties for replacement logic
-    updateTarget(px, py, newColor, delay, newTargetX, newTargetY) {
-        this.x = px;
-        this.y = py;
-        this.targetX = newTargetX;
-        this.targetY = newTargetY;
-        this.color = newColor;
-        this.rgb = this.parseRgb(newColor);
-        this.delay = delay; // Reset delay for the new morph
-        this.morphed = false; // Particle is no longer morphed, needs to move to new target
-        this.vx = (Math.random() - 0.5) * 5; // Give it some initial velocity
-        this.vy = (Math.random() - 0.5) * 5;
-        this.progress = 0; // Reset progress if used for other animations
-    }
-
-    draw(ctx) {
-        ctx.fillStyle = this.color;
-        ctx.fillRect(this.x, this.y, this.size, this.size);
+import { MorphEngine } from './engine.js';
+import { AnimationRecorder } from './recorder.js';
+import { TargetPlaylist } from './playlist.js';
+import { VideoTarget } from './videoTarget.js';
+import { TargetSampler } from './targetSampler.js';
+import { GLYPH_SETS } from './renderStyle.js';
+import { createProject, parseProject, decodeParticles } from './project.js';
+import { ProjectAutosave } from './autosave.js';
+import { StrokeRecorder, StrokePlayer, GestureLibrary, exportStrokes, importStrokes } from './strokes.js';
+import { History, snapshotBytes } from './history.js';
+import { TOOLS, SHAPE_TOOLS, outline, pointsAlong, drawOutline } from './tools.js';
+import { CanvasViewport } from './viewport.js';
+import { CANVAS_PRESETS, FIT_MODES, canvasSizeFor, fitImage, canvasPixelRatio } from './canvasSize.js';
+import { LIVE_SAMPLING_MODES } from './sampling.js';
+import { ImportanceMask } from './importanceMask.js';
+import { parseColor } from './particle.js';
+import { PALETTES } from './palette.js';
+import { AudioInput } from './audioInput.js';
+import { AudioReactor, AUDIO_EFFECTS } from './audioReactive.js';
+import { AutoDrawer } from './autoDraw.js';
+import { MorphTimeline } from './timeline.js';
+import { SVG_RENDER_MODES, svgToDataURL, isSvgSource, svgFromDataURL, normalizeSvg, textToSvg, pathToSvg, outlineSvg } from './vectorTarget.js';
+
+// Shifts a hex colour's hue by `degrees`, keeping its saturation and lightness
+function shiftHue(hex, degrees) {
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16) / 255);
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    const d = max - min;
+    const sat = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+    let h = 0;
+    if (d !== 0) {
+        if (max === r) h = ((g - b) / d) % 6;
+        else if (max === g) h = (b - r) / d + 2;
+        else h = (r - g) / d + 4;
     }
+    h = ((h * 60 + degrees) % 360 + 360) % 360;
+
+    const c = (1 - Math.abs(2 * l - 1)) * sat;
+    const x = c * (1 - Math.abs((h / 60) % 2 - 1));
+    const m = l - c / 2;
+    const [r1, g1, b1] = h < 60 ? [c, x, 0] : h < 120 ? [x, c, 0] : h < 180 ? [0, c, x]
+        : h < 240 ? [0, x, c] : h < 300 ? [x, 0, c] : [c, 0, x];
+    return '#' + [r1, g1, b1].map(v => Math.round((v + m) * 255).toString(16).padStart(2, '0')).join('');
 }
 
-// Represents a particle that will replace another when it finishes morphing
-class ReplacementParticle extends Particle {
-    constructor(x, y, targetX, targetY, color, delay, targetSlot, particleToReplace) {
-        super(x, y, targetX, targetY, color, delay);
-        this.targetSlot = targetSlot; // The target pool slot this particle is aiming for
-        this.particleToReplace = particleToReplace; // The old particle to remove when we finish
-        this.isReplacement = true;
-    }
+// Controls whose values aren't part of a saved project (the canvas size is saved as the project's size)
+const UNSAVED_CONTROLS = new Set(['playlistUrl', 'svgPath', 'gestureName', 'gestureSelect', 'canvasPreset', 'canvasWidth', 'canvasHeight', 'timelineScrubber']);
+
+// What the status pill says in each morph state (text may depend on the state's details),
+// and the class that colours it
+const MORPH_STATES = {
+    idle: { text: 'Ready to draw' },
+    drawing: { text: 'Drawing...', className: 'drawing' },
+    'auto-drawing': { text: 'Auto-drawing...', className: 'drawing' },
+    waiting: { text: ({ seconds }) => `Morphing in ${seconds}s...`, className: 'waiting' },
+    ready: { text: 'Press Morph (M) to start', className: 'waiting' },
+    filling: { text: ({ percent, threshold }) => `Filled ${percent}% of ${threshold}%`, className: 'waiting' },
+    morphing: { text: 'Morphing...', className: 'morphing' },
+    reversing: { text: 'Reversing...', className: 'morphing' },
+    paused: { text: 'Paused', className: 'waiting' },
+    scrubbing: { text: ({ frame, duration }) => `Frame ${frame} of ${duration}`, className: 'waiting' },
+    complete: { text: 'Complete!', className: 'complete' },
+    rewound: { text: 'Back where drawn', className: 'complete' }
+};
+const STATUS_CLASSES = ['morphing', 'drawing', 'waiting', 'complete'];
+
+// Background removal by alpha drops pixels at or below this opacity (0-255); otherwise
+// only nearly invisible ones are skipped
+const REMOVE_ALPHA_THRESHOLD = 200;
+const KEEP_ALPHA_THRESHOLD = 20;
+
+// A crop region ({ x, y, width, height } as fractions of the image), or null if it isn't one
+function validCrop(crop) {
+    if (!crop || typeof crop !== 'object') return null;
+    const { x, y, width, height } = crop;
+    const values = [x, y, width, height];
+    if (values.some(v => typeof v !== 'number' || !(v >= 0 && v <= 1)) || width === 0 || height === 0) return null;
+    if (x + width > 1.0001 || y + height > 1.0001) return null; // Allow for rounding
+    return { x, y, width, height };
 }
 
+// Force fields offered in the controls panel. Slider values (0..100 or -100..100) are
+// multiplied by `scale` to get the force strength in px/frame².
+const FORCE_PRESETS = {
+    gravity: { type: 'gravity', scale: 0.005 },
+    wind: { type: 'wind', scale: 0.005 },
+    vortex: { type: 'vortex', scale: 0.01, radius: 250 },
+    attractor: { type: 'attractor', scale: 0.01, radius: 250 },
+    cursor: { type: 'repel', scale: 0.04, radius: 80 }
+};
+
 class MorphApp {
     constructor() {
         this.canvas = document.getElementById('mainCanvas');
         this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
-        this.particles = [];
-        this.targetPixels = [];
         this.isDrawing = false;
-        this.lastDrawTime = Date.now();
-        this.isMorphing = false;
-        this.morphStartFrame = 0;
-        this.frameCount = 0;
+        this.cursorInside = false;
         this.morphTimeout = null;
+        this.playlistTimeout = null;
+        this.autoDrawTimeout = null; // Pending restart of a looping auto-draw
+        this.autoDrawMorph = false; // Whether the current morph followed an auto-draw
+        this.morphState = 'idle'; // One of MORPH_STATES, shown in the status pill
+        this.morphStateDetail = {};
+        this.paused = false; // Playback frozen by Pause or the timeline scrubber
+        this.speedCarry = 0; // Fraction of an engine step owed by the speed multiplier
+        this.seeking = false; // Set while the timeline restores a frame
+        this.recorder = null;
+        this.exportArmed = false;
+        this.sprite = null; // Uploaded particle sprite (ImageBitmap)
+        this.strokeRecorder = new StrokeRecorder(); // Brush strokes drawn since the last clear
+        this.strokePlayer = new StrokePlayer();
+        this.activeStrokes = new Map(); // Pointer id -> { stroke, shapeEnd } for strokes in progress
+        this.touches = new Map(); // Touch pointer id -> latest client position, for pinch zoom
+        this.panPointer = null; // Middle-button drag of the view
+        this.pixelRatio = 1; // Canvas backing-store pixels per CSS pixel
+        this.targetFit = 'contain'; // Fit mode the target images are rendered with
+        this.cropRegion = null; // Part of the image used by the 'crop' fit, as fractions
+        this.svgRender = 'fill'; // How SVG (and text) targets are drawn, see SVG_RENDER_MODES
+        this.cropping = null; // { image, from, to } while a crop is being selected
+        this.maskPainting = null; // { backdrop, last, changed } while the importance mask is being painted
+        this.gestures = new GestureLibrary();
+        // Undo steps: the particles and strokes from before each stroke, clear or replay
+        this.history = new History({ sizeOf: state => snapshotBytes(state.particles) });
+        this.autosaveTimeout = null;
         this.showHelpOnStart = !localStorage.getItem('pixelMorphHelpSeen');
 
+        // Pass ?seed=<value> in the URL to reproduce a run; otherwise a fresh seed is picked per session
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+        this.engine = new MorphEngine({ width: 600, height: 450 });
+        if (urlSeed !== null) {
+            this.engine.setSeed(urlSeed);
+        }
+        this.engine.on('progress', (stats) => this.updateStats(stats));
+        this.engine.on('morphstart', () => this.onMorphStart());
+        this.engine.on('complete', () => this.onMorphComplete());
+        this.timeline = new MorphTimeline(this.engine);
+        this.playlist = new TargetPlaylist({ random: this.engine.random });
+        this.autoDrawer = new AutoDrawer(this.engine);
+        this.importanceMask = new ImportanceMask(this.engine.width, this.engine.height);
+
         // Controls
         this.controls = {
             brushColor: document.getElementById('brushColor'),
             brushDensity: document.getElementById('brushDensity'),
             clearBtn: document.getElementById('clearBtn'),
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
             uploadBtn: document.getElementById('uploadBtn'),
             imageUpload: document.getElementById('imageUpload'),
             brushDensityValue: document.getElementById('brushDensityValue'),
@@ -141,28 +164,377 @@ class MorphApp {
             pixelCount: document.getElementById('pixelCount'),
             morphProgress: document.getElementById('morphProgress'),
             morphStatus: document.getElementById('morphStatus'),
+            morphTrigger: document.getElementById('morphTrigger'),
+            morphDelay: document.getElementById('morphDelay'),
+            morphDelayValue: document.getElementById('morphDelayValue'),
+            morphDelayGroup: document.getElementById('morphDelayGroup'),
+            morphThreshold: document.getElementById('morphThreshold'),
+            morphThresholdValue: document.getElementById('morphThresholdValue'),
+            morphThresholdGroup: document.getElementById('morphThresholdGroup'),
+            morphNowBtn: document.getElementById('morphNowBtn'),
+            playPauseBtn: document.getElementById('playPauseBtn'),
+            reverseBtn: document.getElementById('reverseBtn'),
+            morphSpeed: document.getElementById('morphSpeed'),
+            timelineScrubber: document.getElementById('timelineScrubber'),
+            timelineLabel: document.getElementById('timelineLabel'),
             downloadBtn: document.getElementById('downloadBtn'),
             helpBtn: document.getElementById('helpBtn'),
             helpTooltip: document.getElementById('helpTooltip'),
             helpClose: document.getElementById('helpClose'),
             helpGotIt: document.getElementById('helpGotIt'),
             brushCursor: document.getElementById('brushCursor'),
+            toolOverlay: document.getElementById('toolOverlay'),
+            canvasWrapper: document.getElementById('canvasWrapper'),
+            canvasView: document.getElementById('canvasView'),
+            canvasStage: document.getElementById('canvasStage'),
+            resetViewBtn: document.getElementById('resetViewBtn'),
+            touchMode: document.getElementById('touchMode'),
+            canvasPreset: document.getElementById('canvasPreset'),
+            canvasCustom: document.getElementById('canvasCustom'),
+            canvasWidth: document.getElementById('canvasWidth'),
+            canvasHeight: document.getElementById('canvasHeight'),
+            targetFit: document.getElementById('targetFit'),
+            cropSelectBtn: document.getElementById('cropSelectBtn'),
+            samplingMode: document.getElementById('samplingMode'),
+            edgeThresholdGroup: document.getElementById('edgeThresholdGroup'),
+            edgeThreshold: document.getElementById('edgeThreshold'),
+            edgeThresholdValue: document.getElementById('edgeThresholdValue'),
+            samplingToneGroup: document.getElementById('samplingToneGroup'),
+            samplingTone: document.getElementById('samplingTone'),
+            samplingBackground: document.getElementById('samplingBackground'),
+            backgroundKeyGroup: document.getElementById('backgroundKeyGroup'),
+            backgroundKey: document.getElementById('backgroundKey'),
+            backgroundTolerance: document.getElementById('backgroundTolerance'),
+            backgroundToleranceValue: document.getElementById('backgroundToleranceValue'),
+            maskPaintBtn: document.getElementById('maskPaintBtn'),
+            maskClearBtn: document.getElementById('maskClearBtn'),
+            paletteMode: document.getElementById('paletteMode'),
+            paletteCountGroup: document.getElementById('paletteCountGroup'),
+            paletteCount: document.getElementById('paletteCount'),
+            paletteCountValue: document.getElementById('paletteCountValue'),
+            duotoneGroup: document.getElementById('duotoneGroup'),
+            duotoneDark: document.getElementById('duotoneDark'),
+            duotoneLight: document.getElementById('duotoneLight'),
+            downloadScale: document.getElementById('downloadScale'),
+            brushTool: document.getElementById('brushTool'),
+            brushSize: document.getElementById('brushSize'),
+            brushSizeValue: document.getElementById('brushSizeValue'),
+            fillTolerance: document.getElementById('fillTolerance'),
+            fillToleranceValue: document.getElementById('fillToleranceValue'),
             progressBar: document.getElementById('progressBar'),
             progressLabel: document.getElementById('progressLabel'),
             presetColors: document.getElementById('presetColors'),
-            motionTrails: document.getElementById('motionTrails')
+            motionTrails: document.getElementById('motionTrails'),
+            exportBtn: document.getElementById('exportBtn'),
+            exportDialog: document.getElementById('exportDialog'),
+            exportClose: document.getElementById('exportClose'),
+            exportStart: document.getElementById('exportStart'),
+            exportFormat: document.getElementById('exportFormat'),
+            exportSize: document.getElementById('exportSize'),
+            exportFps: document.getElementById('exportFps'),
+            exportFpsValue: document.getElementById('exportFpsValue'),
+            exportDuration: document.getElementById('exportDuration'),
+            exportDurationValue: document.getElementById('exportDurationValue'),
+            exportLoop: document.getElementById('exportLoop'),
+            playlistItems: document.getElementById('playlistItems'),
+            playlistAddBtn: document.getElementById('playlistAddBtn'),
+            playlistUpload: document.getElementById('playlistUpload'),
+            playlistUrl: document.getElementById('playlistUrl'),
+            playlistUrlBtn: document.getElementById('playlistUrlBtn'),
+            targetText: document.getElementById('targetText'),
+            textUseBtn: document.getElementById('textUseBtn'),
+            textAddBtn: document.getElementById('textAddBtn'),
+            textFont: document.getElementById('textFont'),
+            textWeight: document.getElementById('textWeight'),
+            textSize: document.getElementById('textSize'),
+            textSizeValue: document.getElementById('textSizeValue'),
+            textAlign: document.getElementById('textAlign'),
+            textColor: document.getElementById('textColor'),
+            svgPath: document.getElementById('svgPath'),
+            svgPathBtn: document.getElementById('svgPathBtn'),
+            svgRender: document.getElementById('svgRender'),
+            playlistHold: document.getElementById('playlistHold'),
+            playlistHoldValue: document.getElementById('playlistHoldValue'),
+            playlistOrder: document.getElementById('playlistOrder'),
+            playlistPolicy: document.getElementById('playlistPolicy'),
+            playlistLoop: document.getElementById('playlistLoop'),
+            videoFileBtn: document.getElementById('videoFileBtn'),
+            videoUpload: document.getElementById('videoUpload'),
+            webcamBtn: document.getElementById('webcamBtn'),
+            videoStopBtn: document.getElementById('videoStopBtn'),
+            videoSampleEvery: document.getElementById('videoSampleEvery'),
+            videoSampleEveryValue: document.getElementById('videoSampleEveryValue'),
+            videoBudget: document.getElementById('videoBudget'),
+            videoBudgetValue: document.getElementById('videoBudgetValue'),
+            samplingStatus: document.getElementById('samplingStatus'),
+            forceFalloff: document.getElementById('forceFalloff'),
+            forceGravity: document.getElementById('forceGravity'),
+            forceGravityStrength: document.getElementById('forceGravityStrength'),
+            forceWind: document.getElementById('forceWind'),
+            forceWindStrength: document.getElementById('forceWindStrength'),
+            forceVortex: document.getElementById('forceVortex'),
+            forceVortexStrength: document.getElementById('forceVortexStrength'),
+            forceAttractor: document.getElementById('forceAttractor'),
+            forceAttractorStrength: document.getElementById('forceAttractorStrength'),
+            forceCursor: document.getElementById('forceCursor'),
+            forceCursorStrength: document.getElementById('forceCursorStrength'),
+            particleShape: document.getElementById('particleShape'),
+            glyphOptions: document.getElementById('glyphOptions'),
+            glyphSet: document.getElementById('glyphSet'),
+            glyphCustom: document.getElementById('glyphCustom'),
+            spriteOptions: document.getElementById('spriteOptions'),
+            spriteBtn: document.getElementById('spriteBtn'),
+            spriteUpload: document.getElementById('spriteUpload'),
+            particleSize: document.getElementById('particleSize'),
+            particleSizeValue: document.getElementById('particleSizeValue'),
+            sizeMode: document.getElementById('sizeMode'),
+            particleGlow: document.getElementById('particleGlow'),
+            rendererMode: document.getElementById('rendererMode'),
+            rendererActive: document.getElementById('rendererActive'),
+            saveProjectBtn: document.getElementById('saveProjectBtn'),
+            openProjectBtn: document.getElementById('openProjectBtn'),
+            projectUpload: document.getElementById('projectUpload'),
+            strokeSpeed: document.getElementById('strokeSpeed'),
+            strokeReplayBtn: document.getElementById('strokeReplayBtn'),
+            strokeReapply: document.getElementById('strokeReapply'),
+            strokeExportBtn: document.getElementById('strokeExportBtn'),
+            strokeImportBtn: document.getElementById('strokeImportBtn'),
+            strokeUpload: document.getElementById('strokeUpload'),
+            strokeCount: document.getElementById('strokeCount'),
+            gestureName: document.getElementById('gestureName'),
+            gestureSaveBtn: document.getElementById('gestureSaveBtn'),
+            gestureSelect: document.getElementById('gestureSelect'),
+            gesturePlayBtn: document.getElementById('gesturePlayBtn'),
+            gestureDeleteBtn: document.getElementById('gestureDeleteBtn'),
+            autoDrawSource: document.getElementById('autoDrawSource'),
+            autoDrawBtn: document.getElementById('autoDrawBtn'),
+            autoDrawLoop: document.getElementById('autoDrawLoop'),
+            autoDrawRate: document.getElementById('autoDrawRate'),
+            autoDrawRateValue: document.getElementById('autoDrawRateValue'),
+            autoDrawCoverage: document.getElementById('autoDrawCoverage'),
+            autoDrawCoverageValue: document.getElementById('autoDrawCoverageValue'),
+            motionModel: document.getElementById('motionModel'),
+            motionStiffness: document.getElementById('motionStiffness'),
+            motionStiffnessValue: document.getElementById('motionStiffnessValue'),
+            motionDuration: document.getElementById('motionDuration'),
+            motionDurationValue: document.getElementById('motionDurationValue'),
+            motionEasing: document.getElementById('motionEasing'),
+            motionCurve: document.getElementById('motionCurve'),
+            motionBend: document.getElementById('motionBend'),
+            motionBendValue: document.getElementById('motionBendValue'),
+            motionPower: document.getElementById('motionPower'),
+            motionPowerValue: document.getElementById('motionPowerValue'),
+            motionBurst: document.getElementById('motionBurst'),
+            motionBurstValue: document.getElementById('motionBurstValue'),
+            staggerPattern: document.getElementById('staggerPattern'),
+            staggerSpread: document.getElementById('staggerSpread'),
+            staggerSpreadValue: document.getElementById('staggerSpreadValue'),
+            assignmentMode: document.getElementById('assignmentMode'),
+            assignmentColor: document.getElementById('assignmentColor'),
+            assignmentColorWeight: document.getElementById('assignmentColorWeight'),
+            assignmentColorWeightValue: document.getElementById('assignmentColorWeightValue'),
+            colorTransition: document.getElementById('colorTransition'),
+            colorBlendGroup: document.getElementById('colorBlendGroup'),
+            colorBlend: document.getElementById('colorBlend'),
+            colorBlendValue: document.getElementById('colorBlendValue'),
+            audioFileBtn: document.getElementById('audioFileBtn'),
+            audioUpload: document.getElementById('audioUpload'),
+            microphoneBtn: document.getElementById('microphoneBtn'),
+            audioStopBtn: document.getElementById('audioStopBtn'),
+            audioStatus: document.getElementById('audioStatus'),
+            audioScatterBand: document.getElementById('audioScatterBand'),
+            audioScatterAmount: document.getElementById('audioScatterAmount'),
+            audioScatterAmountValue: document.getElementById('audioScatterAmountValue'),
+            audioJitterBand: document.getElementById('audioJitterBand'),
+            audioJitterAmount: document.getElementById('audioJitterAmount'),
+            audioJitterAmountValue: document.getElementById('audioJitterAmountValue'),
+            audioSizeBand: document.getElementById('audioSizeBand'),
+            audioSizeAmount: document.getElementById('audioSizeAmount'),
+            audioSizeAmountValue: document.getElementById('audioSizeAmountValue'),
+            audioBrightnessBand: document.getElementById('audioBrightnessBand'),
+            audioBrightnessAmount: document.getElementById('audioBrightnessAmount'),
+            audioBrightnessAmountValue: document.getElementById('audioBrightnessAmountValue')
         };
 
-        this.targetPool = []; // Initialize immediately to avoid length of undefined
+        this.viewport = new CanvasViewport(this.controls.canvasView, this.controls.canvasStage);
+
+        this.setupForces();
+        this.applyRenderStyle();
+        this.applyMotion();
+        this.applyStagger();
+        this.applyAssignment();
+        this.applyColorTransition();
+        this.audioInput = new AudioInput();
+        this.audioReactor = new AudioReactor({ mappings: [] });
+        this.applyAudioMappings();
+        this.applyTool();
+
+        this.sampler = new TargetSampler({ onProgress: (progress) => this.updateSamplingStatus(progress) });
+
+        this.videoTarget = new VideoTarget({
+            width: this.engine.width,
+            height: this.engine.height,
+            step: parseInt(this.controls.resolution.value),
+            sampleEvery: parseInt(this.controls.videoSampleEvery.value),
+            budget: parseInt(this.controls.videoBudget.value),
+            onPool: (pool, step) => this.engine.updateTargetPool(pool, { step })
+        });
+        this.updateSamplingControls();
+
+        // Set autoAnimate to false (e.g. ?headless in the URL) to drive frames manually with stepFrames()
+        const params = new URLSearchParams(window.location.search);
+        this.autoAnimate = !params.has('headless');
+        // Seeded and headless runs start from a clean slate so they stay reproducible
+        this.autosave = ProjectAutosave.isSupported() && urlSeed === null && this.autoAnimate ? new ProjectAutosave() : null;
+        this.autosaveReady = false; // Don't overwrite the saved session before it has been restored
+        this.ready = this.init();
+    }
+
+    setSeed(seed) {
+        this.engine.setSeed(seed);
+        this.playlist.random = this.engine.random;
+    }
+
+    // Registers the panel's forces on the engine (disabled until their checkbox is ticked)
+    setupForces() {
+        for (const [name, preset] of Object.entries(FORCE_PRESETS)) {
+            this.engine.addForce({
+                name,
+                type: preset.type,
+                radius: preset.radius,
+                x: this.engine.width / 2,
+                y: this.engine.height / 2,
+                enabled: false
+            });
+            this.syncForce(name);
+        }
+    }
+
+    // Copies a force's checkbox, slider and the shared falloff into the engine's ForceField
+    syncForce(name) {
+        const force = this.engine.getForce(name);
+        const key = name.charAt(0).toUpperCase() + name.slice(1);
+        const strength = parseInt(this.controls[`force${key}Strength`].value) * FORCE_PRESETS[name].scale;
+
+        if (force.type === 'wind') {
+            // Negative slider values blow left
+            force.angle = strength < 0 ? Math.PI : 0;
+            force.strength = Math.abs(strength);
+        } else {
+            force.strength = strength;
+        }
+        if (force.type !== 'gravity' && force.type !== 'wind') {
+            force.falloff = this.controls.forceFalloff.value;
+        }
+
+        const checked = this.controls[`force${key}`].checked;
+        // The cursor only pushes while hovering, and never while it is the brush
+        force.enabled = name === 'cursor' ? checked && this.cursorInside && !this.isDrawing : checked;
+    }
+
+    // Rebuilds the engine's render style from the Style panel
+    applyRenderStyle() {
+        const c = this.controls;
+        const shape = c.particleShape.value;
+        c.glyphOptions.hidden = shape !== 'glyph';
+        c.spriteOptions.hidden = shape !== 'sprite';
+        c.glyphCustom.hidden = c.glyphSet.value !== 'custom';
+        c.particleSizeValue.textContent = c.particleSize.value + ' px';
+
+        const glyphs = c.glyphSet.value === 'custom' ? c.glyphCustom.value || GLYPH_SETS.ascii : GLYPH_SETS[c.glyphSet.value];
+        this.engine.setRenderStyle({
+            shape,
+            size: parseInt(c.particleSize.value),
+            sizeMode: c.sizeMode.value,
+            glow: c.particleGlow.checked,
+            glyphs,
+            sprite: this.sprite
+        });
+    }
+
+    async loadSprite(file) {
+        try {
+            this.sprite = await createImageBitmap(file);
+        } catch (error) {
+            console.warn('Could not load sprite image', error);
+            return;
+        }
+        this.controls.particleShape.value = 'sprite';
+        this.applyRenderStyle();
+    }
+
+    // Rebuilds the engine's motion model from the Motion panel and shows only its parameters
+    applyMotion() {
+        const c = this.controls;
+        const model = c.motionModel.value;
+        const seconds = frames => (frames / 60).toFixed(1) + ' s';
+
+        document.querySelectorAll('[data-motion]').forEach(group => {
+            group.hidden = !group.dataset.motion.split(' ').includes(model);
+        });
+        c.motionStiffnessValue.textContent = (parseInt(c.motionStiffness.value) / 100).toFixed(2);
+        c.motionDurationValue.textContent = seconds(parseInt(c.motionDuration.value));
+        c.motionBendValue.textContent = c.motionBend.value + '%';
+        c.motionPowerValue.textContent = c.motionPower.value;
+        c.motionBurstValue.textContent = seconds(parseInt(c.motionBurst.value));
+
+        const bend = parseInt(c.motionBend.value) / 100;
+        this.engine.setMotion(model, {
+            stiffness: parseInt(c.motionStiffness.value) / 100,
+            duration: parseInt(c.motionDuration.value),
+            easing: c.motionEasing.value,
+            curve: c.motionCurve.value,
+            bend,
+            turns: bend * 2, // 50% is one full orbit
+            power: parseInt(c.motionPower.value),
+            burst: parseInt(c.motionBurst.value)
+        });
+    }
+
+    applyStagger() {
+        const spread = parseInt(this.controls.staggerSpread.value);
+        this.controls.staggerSpreadValue.textContent = (spread / 60).toFixed(1) + ' s';
+        this.engine.setStagger(this.controls.staggerPattern.value, { spread });
+    }
+
+    applyAssignment() {
+        const c = this.controls;
+        const mode = c.assignmentMode.value;
+        const colorWeight = parseInt(c.assignmentColorWeight.value) / 100;
+        c.assignmentColor.hidden = mode !== 'optimal';
+        c.assignmentColorWeightValue.textContent = colorWeight.toFixed(1);
+        this.engine.setAssignment(mode, { colorWeight });
+    }
+
+    applyColorTransition() {
+        const c = this.controls;
+        const mode = c.colorTransition.value;
+        const blend = parseInt(c.colorBlend.value) / 100;
+        c.colorBlendGroup.hidden = mode === 'off';
+        c.colorBlendValue.textContent = blend === 0 ? 'Drawing' : blend === 1 ? 'Photographic' : `${Math.round(blend * 100)}%`;
+        this.engine.setColorTransition(mode, { blend });
+    }
 
-        this.init();
+    // Moves the cursor repulsor to the pointer position (in canvas coordinates)
+    updateCursorForce(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const force = this.engine.getForce('cursor');
+        force.x = (e.clientX - rect.left) * (this.engine.width / rect.width);
+        force.y = (e.clientY - rect.top) * (this.engine.height / rect.height);
+        this.syncForce('cursor');
     }
 
     async init() {
         this.setupCanvas();
         this.setupEventListeners();
-        await this.loadTargetImage(typeof DEFAULT_IMAGE !== 'undefined' ? DEFAULT_IMAGE : 'obama.jpg');
-        this.animate();
+        if (!await this.restoreAutosave()) {
+            await this.loadTargetImage(typeof DEFAULT_IMAGE !== 'undefined' ? DEFAULT_IMAGE : 'obama.jpg');
+        }
+        this.autosaveReady = true;
+        this.renderGestures();
+        if (this.autoAnimate) {
+            this.animate();
+        }
 
         // Show help on first visit
         if (this.showHelpOnStart) {
@@ -170,15 +542,15 @@ class MorphApp {
         }
     }
 
+    // Sizes the canvas to the engine's stage, with a backing store at the screen's pixel density
     setupCanvas() {
-        const maxWidth = window.innerWidth * 0.8;
-        const maxHeight = window.innerHeight * 0.6;
-
-        // Use a base aspect ratio but allow it to be overridden by image
-        this.canvas.width = 600;
-        this.canvas.height = 450;
+        const { width, height } = this.engine;
+        this.pixelRatio = canvasPixelRatio();
+        this.canvas.width = Math.round(width * this.pixelRatio);
+        this.canvas.height = Math.round(height * this.pixelRatio);
 
         // Apply responsive styling
+        this.canvas.style.width = width + 'px';
         this.canvas.style.maxWidth = '100%';
         this.canvas.style.height = 'auto';
 
@@ -186,36 +558,72 @@ class MorphApp {
         this.ctx.fillStyle = '#0d0d12';
         this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
 
+        this.controls.toolOverlay.width = this.canvas.width;
+        this.controls.toolOverlay.height = this.canvas.height;
+        this.controls.canvasWidth.value = width;
+        this.controls.canvasHeight.value = height;
+
         // Update brush cursor size
         this.updateBrushCursor();
     }
 
     setupEventListeners() {
-        // Drawing events
-        this.canvas.addEventListener('mousedown', (e) => this.startDrawing(e));
-        this.canvas.addEventListener('mousemove', (e) => {
-            this.updateBrushCursorPosition(e);
-            this.draw(e);
-        });
-        this.canvas.addEventListener('mouseup', () => this.stopDrawing());
-        this.canvas.addEventListener('mouseleave', () => {
-            this.stopDrawing();
-            this.controls.brushCursor.style.opacity = '0';
+        // Drawing input: Pointer Events cover mouse, pen (with pressure) and touch, and every
+        // pointer on the canvas draws its own stroke
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+        this.canvas.addEventListener('pointerleave', (e) => {
+            if (e.pointerType !== 'touch') {
+                this.cursorInside = false;
+                this.controls.brushCursor.style.opacity = '0';
+            }
+            this.onPointerUp(e);
         });
-        this.canvas.addEventListener('mouseenter', () => {
-            this.controls.brushCursor.style.opacity = '1';
+        this.canvas.addEventListener('pointerenter', (e) => {
+            if (e.pointerType !== 'touch') this.controls.brushCursor.style.opacity = '1';
         });
 
-        // Touch events
-        this.canvas.addEventListener('touchstart', (e) => {
+        // View zoom: Ctrl/Cmd + wheel (and trackpad pinch, which arrives as one); plain scrolling still scrolls the page
+        this.canvas.addEventListener('wheel', (e) => {
+            if (!e.ctrlKey && !e.metaKey) return;
             e.preventDefault();
-            this.startDrawing(e.touches[0]);
+            const { x, y } = this.viewport.localPoint(e.clientX, e.clientY);
+            this.viewport.zoomAt(this.viewport.scale * Math.exp(-e.deltaY * 0.01), x, y);
+            this.updateView();
+        }, { passive: false });
+        this.controls.resetViewBtn.addEventListener('click', () => this.resetView());
+
+        // Canvas size and how target images fit it
+        this.controls.canvasPreset.addEventListener('change', () => this.applyCanvasSize());
+        this.controls.canvasWidth.addEventListener('change', () => this.applyCanvasSize());
+        this.controls.canvasHeight.addEventListener('change', () => this.applyCanvasSize());
+        this.controls.targetFit.addEventListener('change', () => this.applyTargetFit());
+        this.controls.cropSelectBtn.addEventListener('click', () => this.startCropSelection());
+
+        // Target sampling
+        ['samplingMode', 'samplingTone', 'samplingBackground', 'backgroundKey', 'paletteMode', 'duotoneDark', 'duotoneLight'].forEach(id => {
+            this.controls[id].addEventListener('change', () => this.applySampling());
         });
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            this.draw(e.touches[0]);
+        ['edgeThreshold', 'backgroundTolerance', 'paletteCount'].forEach(id => {
+            // Resample once the slider is let go; the label follows as it moves
+            this.controls[id].addEventListener('input', () => this.updateSamplingControls());
+            this.controls[id].addEventListener('change', () => this.applySampling());
         });
-        this.canvas.addEventListener('touchend', () => this.stopDrawing());
+        this.controls.maskPaintBtn.addEventListener('click', () => {
+            if (this.maskPainting) {
+                this.endMaskPainting();
+            } else {
+                this.startMaskPainting();
+            }
+        });
+        this.controls.maskClearBtn.addEventListener('click', () => this.clearImportanceMask());
+
+        // Tools
+        this.controls.brushTool.addEventListener('change', () => this.applyTool());
+        this.controls.brushSize.addEventListener('input', () => this.applyTool());
+        this.controls.fillTolerance.addEventListener('input', () => this.applyTool());
 
         // Control events
         this.controls.brushDensity.addEventListener('input', () => {
@@ -237,8 +645,18 @@ class MorphApp {
             } else {
                 this.controls.resolutionValue.textContent = 'Draft';
             }
-            if (this.currentImgSrc) {
-                this.loadTargetImage(this.currentImgSrc);
+            if (this.videoTarget.active) {
+                this.videoTarget.setStep(val);
+            } else {
+                this.resampleTarget().then(applied => {
+                    if (applied) this.reapplyStrokes();
+                });
+            }
+        });
+        // SVG outlines are drawn as wide as the sampling step, so they're redrawn once it's chosen
+        this.controls.resolution.addEventListener('change', () => {
+            if (this.svgRender !== 'fill' && !this.videoTarget.active && this.playlist.entries.some(entry => isSvgSource(entry.src))) {
+                this.reloadTargets();
             }
         });
 
@@ -257,25 +675,244 @@ class MorphApp {
         });
 
         this.controls.clearBtn.addEventListener('click', () => this.clearCanvas());
+        this.controls.undoBtn.addEventListener('click', () => this.undo());
+        this.controls.redoBtn.addEventListener('click', () => this.redo());
 
         this.controls.uploadBtn.addEventListener('click', () => {
             this.controls.imageUpload.click();
         });
 
-        this.controls.imageUpload.addEventListener('change', (e) => {
+        this.controls.imageUpload.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            const src = file ? await this.readTargetFile(file) : null;
+            if (src) this.loadTargetImage(src);
+        });
+
+        // Target playlist
+        this.controls.playlistAddBtn.addEventListener('click', () => {
+            this.controls.playlistUpload.click();
+        });
+
+        this.controls.playlistUpload.addEventListener('change', (e) => {
+            Array.from(e.target.files).forEach(async file => {
+                const src = await this.readTargetFile(file);
+                if (src) this.addToPlaylist(src);
+            });
+            e.target.value = '';
+        });
+
+        this.controls.playlistUrlBtn.addEventListener('click', () => {
+            const url = this.controls.playlistUrl.value.trim();
+            if (url) {
+                this.addToPlaylist(url);
+                this.controls.playlistUrl.value = '';
+            }
+        });
+
+        this.controls.playlistItems.addEventListener('click', (e) => {
+            const item = e.target.closest('.playlist-item');
+            if (!item) return;
+            const index = parseInt(item.dataset.index);
+            if (e.target.classList.contains('playlist-remove')) {
+                this.removeFromPlaylist(index);
+            } else {
+                this.showPlaylistEntry(this.playlist.select(index));
+            }
+        });
+
+        // Text and SVG targets
+        this.controls.textUseBtn.addEventListener('click', () => this.useTextTarget());
+        this.controls.textAddBtn.addEventListener('click', () => this.useTextTarget({ add: true }));
+        this.controls.textSize.addEventListener('input', () => {
+            this.controls.textSizeValue.textContent = this.controls.textSize.value + ' px';
+        });
+        this.controls.svgPathBtn.addEventListener('click', () => this.useSvgPath());
+        this.controls.svgRender.addEventListener('change', () => this.applySvgRender());
+
+        this.controls.playlistHold.addEventListener('input', () => {
+            this.controls.playlistHoldValue.textContent = this.controls.playlistHold.value + ' s';
+        });
+
+        this.controls.playlistOrder.addEventListener('change', () => {
+            this.playlist.setOrder(this.controls.playlistOrder.value);
+        });
+
+        this.controls.playlistLoop.addEventListener('change', () => {
+            this.playlist.loop = this.controls.playlistLoop.checked;
+        });
+
+        // Live video target
+        this.controls.videoFileBtn.addEventListener('click', () => {
+            this.controls.videoUpload.click();
+        });
+
+        this.controls.videoUpload.addEventListener('change', (e) => {
             const file = e.target.files[0];
             if (file) {
-                const reader = new FileReader();
-                reader.onload = (event) => {
-                    this.loadTargetImage(event.target.result);
-                };
-                reader.readAsDataURL(file);
+                this.startVideo(() => this.videoTarget.useFile(file));
+            }
+            e.target.value = '';
+        });
+
+        this.controls.webcamBtn.addEventListener('click', () => {
+            this.startVideo(() => this.videoTarget.useWebcam());
+        });
+        if (!VideoTarget.isWebcamSupported()) {
+            this.controls.webcamBtn.disabled = true;
+        }
+
+        this.controls.videoStopBtn.addEventListener('click', () => this.stopVideo());
+
+        // Audio reactivity
+        this.controls.audioFileBtn.addEventListener('click', () => {
+            this.controls.audioUpload.click();
+        });
+        this.controls.audioUpload.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.startAudio(() => this.audioInput.useFile(file), file.name);
             }
+            e.target.value = '';
+        });
+        this.controls.microphoneBtn.addEventListener('click', () => {
+            this.startAudio(() => this.audioInput.useMicrophone(), 'Microphone');
+        });
+        this.controls.audioStopBtn.addEventListener('click', () => this.stopAudio());
+        if (!AudioInput.isSupported()) {
+            this.controls.audioFileBtn.disabled = true;
+            this.controls.audioStatus.textContent = 'Audio not supported';
+        }
+        if (!AudioInput.isMicrophoneSupported()) {
+            this.controls.microphoneBtn.disabled = true;
+        }
+        AUDIO_EFFECTS.forEach(effect => {
+            const key = effect.charAt(0).toUpperCase() + effect.slice(1);
+            this.controls[`audio${key}Band`].addEventListener('change', () => this.applyAudioMappings());
+            this.controls[`audio${key}Amount`].addEventListener('input', () => this.applyAudioMappings());
+        });
+
+        this.controls.videoSampleEvery.addEventListener('input', () => {
+            this.videoTarget.sampleEvery = parseInt(this.controls.videoSampleEvery.value);
+            this.controls.videoSampleEveryValue.textContent = this.controls.videoSampleEvery.value + ' frames';
+        });
+
+        this.controls.videoBudget.addEventListener('input', () => {
+            this.videoTarget.budget = parseInt(this.controls.videoBudget.value);
+            this.controls.videoBudgetValue.textContent = this.controls.videoBudget.value + ' px';
+        });
+
+        // Render style
+        ['particleShape', 'glyphSet', 'sizeMode', 'particleGlow'].forEach(id => {
+            this.controls[id].addEventListener('change', () => this.applyRenderStyle());
+        });
+        ['particleSize', 'glyphCustom'].forEach(id => {
+            this.controls[id].addEventListener('input', () => this.applyRenderStyle());
+        });
+        this.controls.rendererMode.addEventListener('change', () => {
+            this.engine.setRenderer(this.controls.rendererMode.value);
+        });
+        this.controls.spriteBtn.addEventListener('click', () => this.controls.spriteUpload.click());
+        this.controls.spriteUpload.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.loadSprite(file);
+            e.target.value = '';
+        });
+
+        // Motion model and stagger
+        ['motionModel', 'motionEasing', 'motionCurve'].forEach(id => {
+            this.controls[id].addEventListener('change', () => this.applyMotion());
+        });
+        ['motionStiffness', 'motionDuration', 'motionBend', 'motionPower', 'motionBurst'].forEach(id => {
+            this.controls[id].addEventListener('input', () => this.applyMotion());
+        });
+        this.controls.staggerPattern.addEventListener('change', () => this.applyStagger());
+        this.controls.staggerSpread.addEventListener('input', () => this.applyStagger());
+        this.controls.assignmentMode.addEventListener('change', () => this.applyAssignment());
+        this.controls.assignmentColorWeight.addEventListener('input', () => this.applyAssignment());
+        this.controls.colorTransition.addEventListener('change', () => this.applyColorTransition());
+        this.controls.colorBlend.addEventListener('input', () => this.applyColorTransition());
+
+        // Force fields
+        for (const name of Object.keys(FORCE_PRESETS)) {
+            const key = name.charAt(0).toUpperCase() + name.slice(1);
+            this.controls[`force${key}`].addEventListener('change', () => this.syncForce(name));
+            this.controls[`force${key}Strength`].addEventListener('input', () => this.syncForce(name));
+        }
+        this.controls.forceFalloff.addEventListener('change', () => {
+            Object.keys(FORCE_PRESETS).forEach(name => this.syncForce(name));
+        });
+
+        // Projects
+        this.controls.saveProjectBtn.addEventListener('click', () => this.saveProject());
+        this.controls.openProjectBtn.addEventListener('click', () => this.controls.projectUpload.click());
+        this.controls.projectUpload.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.openProjectFile(file);
+            e.target.value = '';
+        });
+        // Strokes and gestures
+        this.controls.strokeReplayBtn.addEventListener('click', () => this.replayStrokes());
+        this.controls.strokeExportBtn.addEventListener('click', () => this.exportStrokes());
+        this.controls.strokeImportBtn.addEventListener('click', () => this.controls.strokeUpload.click());
+        this.controls.strokeUpload.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importStrokesFile(file);
+            e.target.value = '';
+        });
+        this.controls.gestureSaveBtn.addEventListener('click', () => this.saveGesture());
+        this.controls.gesturePlayBtn.addEventListener('click', () => this.playGesture());
+        this.controls.gestureDeleteBtn.addEventListener('click', () => this.deleteGesture());
+        // Morph trigger and playback
+        this.controls.morphTrigger.addEventListener('change', () => this.applyMorphTrigger());
+        this.controls.morphDelay.addEventListener('input', () => this.applyMorphTrigger());
+        this.controls.morphThreshold.addEventListener('input', () => this.applyMorphTrigger());
+        this.controls.morphNowBtn.addEventListener('click', () => this.morphNow());
+        this.controls.playPauseBtn.addEventListener('click', () => this.togglePaused());
+        this.controls.reverseBtn.addEventListener('click', () => this.toggleReversed());
+        this.controls.timelineScrubber.addEventListener('input', () => {
+            this.seekTimeline(parseInt(this.controls.timelineScrubber.value));
         });
+        // Auto-draw
+        this.controls.autoDrawBtn.addEventListener('click', () => this.toggleAutoDraw());
+        this.controls.autoDrawRate.addEventListener('input', () => this.applyAutoDrawSettings());
+        this.controls.autoDrawCoverage.addEventListener('input', () => this.applyAutoDrawSettings());
+        this.controls.autoDrawLoop.addEventListener('change', () => {
+            if (!this.controls.autoDrawLoop.checked) this.cancelAutoDrawLoop();
+        });
+
+        this.settingControls().forEach(([, control]) => {
+            control.addEventListener('change', () => this.scheduleAutosave());
+        });
+        window.addEventListener('pagehide', () => this.saveAutosave());
 
         // Download button
         this.controls.downloadBtn.addEventListener('click', () => this.downloadCanvas());
 
+        // Animation export
+        this.controls.exportBtn.addEventListener('click', () => {
+            if (this.recorder) {
+                this.finishRecording();
+            } else if (this.exportArmed) {
+                this.cancelRecording();
+            } else {
+                this.showExportDialog();
+            }
+        });
+        this.controls.exportClose.addEventListener('click', () => this.hideExportDialog());
+        this.controls.exportStart.addEventListener('click', () => this.armExport());
+        this.controls.exportFps.addEventListener('input', () => {
+            this.controls.exportFpsValue.textContent = this.controls.exportFps.value + ' fps';
+        });
+        this.controls.exportDuration.addEventListener('input', () => {
+            this.controls.exportDurationValue.textContent = this.controls.exportDuration.value + ' s';
+        });
+        this.controls.exportFormat.addEventListener('change', () => {
+            this.controls.exportLoop.disabled = this.controls.exportFormat.value !== 'gif';
+        });
+        if (!AnimationRecorder.isWebmSupported()) {
+            this.controls.exportFormat.querySelector('option[value="webm"]').disabled = true;
+        }
+
         // Help button and modal
         this.controls.helpBtn.addEventListener('click', () => this.showHelp());
         this.controls.helpClose.addEventListener('click', () => this.hideHelp());
@@ -294,13 +931,36 @@ class MorphApp {
         });
 
         window.addEventListener('resize', () => {
+            // Moving to a screen with a different pixel density also fires resize
+            if (canvasPixelRatio() !== this.pixelRatio) {
+                this.setupCanvas();
+            }
+            this.viewport.apply();
             this.updateBrushCursor();
         });
 
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Don't trigger shortcuts if user is typing in an input
-            if (e.target.tagName === 'INPUT') return;
+            if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+            if (e.ctrlKey || e.metaKey) {
+                if (e.key.toLowerCase() === 'z') {
+                    e.preventDefault();
+                    if (e.shiftKey) this.redo();
+                    else this.undo();
+                } else if (e.key.toLowerCase() === 'y') {
+                    e.preventDefault();
+                    this.redo();
+                } else if (e.key.toLowerCase() === 's') {
+                    e.preventDefault();
+                    this.saveProject();
+                } else if (e.key.toLowerCase() === 'o') {
+                    e.preventDefault();
+                    this.controls.projectUpload.click();
+                }
+                return; // Leave other browser shortcuts (copy, paste...) alone
+            }
 
             switch (e.key.toLowerCase()) {
                 case 'c':
@@ -309,6 +969,32 @@ class MorphApp {
                 case 'd':
                     this.downloadCanvas();
                     break;
+                case 'r':
+                    this.replayStrokes();
+                    break;
+                case 'a':
+                    this.toggleAutoDraw();
+                    break;
+                case 'm':
+                    this.morphNow();
+                    break;
+                case ' ':
+                    e.preventDefault(); // Don't scroll the page
+                    this.togglePaused();
+                    break;
+                case 'v':
+                    this.toggleReversed();
+                    break;
+                case 'n':
+                    this.advancePlaylist();
+                    break;
+                case 'e':
+                    if (this.controls.exportDialog.classList.contains('hidden')) {
+                        this.showExportDialog();
+                    } else {
+                        this.hideExportDialog();
+                    }
+                    break;
                 case 'h':
                     if (this.controls.helpTooltip.classList.contains('hidden')) {
                         this.showHelp();
@@ -318,26 +1004,57 @@ class MorphApp {
                     break;
                 case 'escape':
                     this.hideHelp();
+                    this.hideExportDialog();
+                    this.endCropSelection();
+                    this.endMaskPainting();
+                    break;
+                case '0':
+                    this.resetView();
                     break;
+                default:
+                    // 1-6 pick a tool, in the order of the Tool menu
+                    if (/^[1-6]$/.test(e.key) && !this.isDrawing) {
+                        this.controls.brushTool.value = TOOLS[parseInt(e.key) - 1];
+                        this.controls.brushTool.dispatchEvent(new Event('change'));
+                    }
             }
         });
     }
 
+    applyTool() {
+        const c = this.controls;
+        const tool = c.brushTool.value;
+        document.querySelectorAll('.control-group[data-tool]').forEach(group => {
+            group.hidden = !group.dataset.tool.split(' ').includes(tool);
+        });
+        c.brushSizeValue.textContent = c.brushSize.value + ' px';
+        c.fillToleranceValue.textContent = c.fillTolerance.value;
+        this.updateBrushCursor();
+    }
+
+    // Sizes the cursor to the brush as it appears on screen; shape and fill tools show a small point
     updateBrushCursor() {
-        const radius = 30; // Fixed spread radius for consistency
-        const size = radius * 2;
-        this.controls.brushCursor.style.width = size + 'px';
-        this.controls.brushCursor.style.height = size + 'px';
+        const tool = this.controls.brushTool.value;
+        const pointTool = !this.maskPainting && (SHAPE_TOOLS.includes(tool) || tool === 'fill');
+        const scale = this.canvas.getBoundingClientRect().width / this.engine.width || 1;
+        const size = pointTool ? 12 : parseInt(this.controls.brushSize.value) * 2 * scale;
+        const cursor = this.controls.brushCursor;
+        cursor.style.width = size + 'px';
+        cursor.style.height = size + 'px';
+        cursor.dataset.tool = tool;
+        cursor.classList.toggle('point-tool', pointTool);
     }
 
+    // Places the cursor over the canvas point the pointer maps to, so it sits exactly where
+    // particles spawn whatever the canvas's display size or zoom
     updateBrushCursorPosition(e) {
+        const { x, y } = this.canvasPoint(e);
         const rect = this.canvas.getBoundingClientRect();
-        const x = e.clientX - rect.left;
-        const y = e.clientY - rect.top;
+        const wrapper = this.controls.canvasWrapper.getBoundingClientRect();
+        const scale = rect.width / this.engine.width;
 
-        // Position cursor relative to canvas wrapper
-        this.controls.brushCursor.style.left = x + 'px';
-        this.controls.brushCursor.style.top = y + 'px';
+        this.controls.brushCursor.style.left = (rect.left - wrapper.left + x * scale) + 'px';
+        this.controls.brushCursor.style.top = (rect.top - wrapper.top + y * scale) + 'px';
 
         // Update cursor color based on brush color
         const color = this.controls.brushColor.value;
@@ -345,6 +1062,17 @@ class MorphApp {
         this.controls.brushCursor.style.boxShadow = `0 0 15px ${color}40`;
     }
 
+    // After a zoom or pan: resize the cursor to match and offer to reset the view
+    updateView() {
+        this.controls.resetViewBtn.hidden = !this.viewport.zoomed;
+        this.updateBrushCursor();
+    }
+
+    resetView() {
+        this.viewport.reset();
+        this.updateView();
+    }
+
     showHelp() {
         this.controls.helpTooltip.classList.remove('hidden');
     }
@@ -356,29 +1084,19 @@ class MorphApp {
 
     downloadCanvas() {
         // Don't download empty canvas
-        if (this.particles.length === 0) {
-            this.controls.morphStatus.textContent = 'Draw something first!';
-            setTimeout(() => {
-                this.updateMorphStatus('Ready to draw');
-            }, 2000);
+        if (this.engine.particles.length === 0) {
+            this.flashStatus('Draw something first!');
             return;
         }
 
-        // Create a temporary canvas to render without trails
+        // Create a temporary canvas to render without trails, at the chosen multiple of the canvas size
+        const scale = parseFloat(this.controls.downloadScale.value);
         const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = this.canvas.width;
-        tempCanvas.height = this.canvas.height;
+        tempCanvas.width = Math.round(this.engine.width * scale);
+        tempCanvas.height = Math.round(this.engine.height * scale);
         const tempCtx = tempCanvas.getContext('2d');
 
-        // Fill background
-        tempCtx.fillStyle = '#0d0d12';
-        tempCtx.fillRect(0, 0, tempCanvas.width, tempCanvas.height);
-
-        // Draw all particles
-        this.particles.forEach(p => {
-            tempCtx.fillStyle = p.color;
-            tempCtx.fillRect(p.x, p.y, p.size, p.size);
-        });
+        this.engine.render(tempCtx, { pixelRatio: scale });
 
         // Create download link
         const link = document.createElement('a');
@@ -387,6 +1105,78 @@ class MorphApp {
         link.click();
     }
 
+    showExportDialog() {
+        this.controls.exportDialog.classList.remove('hidden');
+    }
+
+    hideExportDialog() {
+        this.controls.exportDialog.classList.add('hidden');
+    }
+
+    // Arm the recorder so it starts with the next morph (or right away if one is running)
+    armExport() {
+        this.hideExportDialog();
+        if (this.engine.particles.length === 0) {
+            this.flashStatus('Draw something first!');
+            return;
+        }
+
+        this.exportArmed = true;
+        if (this.engine.isMorphing) {
+            this.startRecording();
+        }
+        this.updateExportButton();
+    }
+
+    startRecording() {
+        this.exportArmed = false;
+        const scale = parseFloat(this.controls.exportSize.value);
+        this.recorder = new AnimationRecorder(this.canvas, {
+            format: this.controls.exportFormat.value,
+            fps: parseInt(this.controls.exportFps.value),
+            maxDuration: parseInt(this.controls.exportDuration.value),
+            loop: this.controls.exportLoop.checked,
+            width: this.engine.width,
+            height: this.engine.height,
+            scale,
+            // Beyond the screen's own resolution, frames are rendered sharp instead of upscaled
+            render: scale > this.pixelRatio
+                ? (ctx) => this.engine.render(ctx, { trails: this.controls.motionTrails.checked, pixelRatio: scale })
+                : null
+        });
+        this.recorder.start();
+        this.updateExportButton();
+    }
+
+    async finishRecording() {
+        const recorder = this.recorder;
+        if (!recorder) return;
+        this.recorder = null;
+        this.updateExportButton();
+
+        const blob = await recorder.finish();
+        const link = document.createElement('a');
+        link.download = `pixel-morph-${Date.now()}.${recorder.format}`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    cancelRecording() {
+        if (this.recorder) {
+            this.recorder.cancel();
+            this.recorder = null;
+        }
+        this.exportArmed = false;
+        this.updateExportButton();
+    }
+
+    updateExportButton() {
+        const label = this.recorder ? 'Stop Recording' : this.exportArmed ? 'Waiting for Morph...' : 'Export Animation';
+        this.controls.exportBtn.lastChild.textContent = label;
+        this.controls.exportBtn.classList.toggle('recording', !!this.recorder || this.exportArmed);
+    }
+
     updateConditionalControls() {
         const isAnyRandomOn = this.controls.randomPixels.checked || this.controls.cycleColor.checked;
         this.controls.favorColorsContainer.style.display = isAnyRandomOn ? 'flex' : 'none';
@@ -395,404 +1185,1643 @@ class MorphApp {
         }
     }
 
+    // Replaces the playlist with a single target image
     async loadTargetImage(src) {
-        this.currentImgSrc = src; // Store current source for resolution changes
-        return new Promise((resolve) => {
-            const img = new Image();
-            img.crossOrigin = "anonymous";
-            img.onload = () => {
-                const tempCanvas = document.createElement('canvas');
-                const tempCtx = tempCanvas.getContext('2d');
-                tempCanvas.width = this.canvas.width;
-                tempCanvas.height = this.canvas.height;
-
-                const imgAspect = img.width / img.height;
-                const canvasAspect = this.canvas.width / this.canvas.height;
-
-                // Use "contain" scaling to ensure the image fits the canvas
-                let scale;
-                if (imgAspect > canvasAspect) {
-                    scale = this.canvas.width / img.width;
-                } else {
-                    scale = this.canvas.height / img.height;
-                }
+        if (this.controls.canvasPreset.value === 'image') {
+            // Match Image: the canvas takes the new image's shape before it is rendered
+            const image = await this.loadImage(src);
+            if (image) this.setCanvasSize(canvasSizeFor('image', { image }));
+        }
+        this.setTargetFit(this.targetFit, null); // A crop belongs to the image it was chosen on
+        this.endMaskPainting();
+        this.importanceMask.clear(); // And so does an importance mask
+        const imageData = await this.loadImageData(src);
+        if (!imageData) return;
+
+        this.playlist.clear();
+        this.playlist.add({ src, imageData });
+        this.renderPlaylist();
+        if (await this.resampleTarget()) {
+            this.reapplyStrokes();
+        }
+        this.scheduleAutosave();
+    }
 
-                const x = (this.canvas.width - img.width * scale) / 2;
-                const y = (this.canvas.height - img.height * scale) / 2;
-                tempCtx.drawImage(img, x, y, img.width * scale, img.height * scale);
-
-                const imageData = tempCtx.getImageData(0, 0, this.canvas.width, this.canvas.height).data;
-                const width = this.canvas.width;
-                const height = this.canvas.height;
-                this.targetPool = [];
-
-                const step = parseInt(this.controls.resolution.value);
-                for (let y = 1; y < height - 1; y += step) {
-                    for (let x = 1; x < width - 1; x += step) {
-                        const index = (y * width + x) * 4;
-                        const r = imageData[index];
-                        const g = imageData[index + 1];
-                        const b = imageData[index + 2];
-                        const a = imageData[index + 3];
-
-                        if (a > 20) { // Even lower alpha threshold for scanning
-                            const brightness = (r + g + b) / 3;
-                            if (brightness >= 0) { // Accept all pixels that have some visibility
-                                // Calculate a "detail score" based on local contrast (Sobel-like)
-                                // This highlights edges/features like eyes, nose, mouth
-                                const left = (imageData[index - 4] + imageData[index - 3] + imageData[index - 2]) / 3;
-                                const right = (imageData[index + 4] + imageData[index + 5] + imageData[index + 6]) / 3;
-                                const up = (imageData[index - width * 4] + imageData[index - width * 4 + 1] + imageData[index - width * 4 + 2]) / 3;
-                                const down = (imageData[index + width * 4] + imageData[index + width * 4 + 1] + imageData[index + width * 4 + 2]) / 3;
-
-                                const contrast = Math.abs(left - right) + Math.abs(up - down);
-
-                                // Face area in the Shepard Fairey poster is usually high-contrast or distinct values
-                                // We weight face areas (middle-upper part of image) slightly higher
-                                const centerY = height * 0.4;
-                                const distY = Math.abs(y - centerY) / height;
-                                const yWeight = 1.0 - distY;
-
-                                this.targetPool.push({
-                                    x, y,
-                                    r, g, b,
-                                    score: contrast * yWeight + (brightness > 150 ? 50 : 0),
-                                    occupiedBy: null // Track which particle is filling this target
-                                });
-                            }
-                        }
-                    }
-                }
+    // Samples the current target off the main thread and moves existing particles onto it.
+    // Resolves false if there was nothing to sample or a newer request superseded this one.
+    async resampleTarget() {
+        const entry = this.playlist.current;
+        if (!entry) return false;
 
-                // Sort pool by score: highest detail (face features) first
-                this.targetPool.sort((a, b) => b.score - a.score);
+        const options = this.samplingOptions();
+        const pool = await this.sampler.sample(entry.imageData, options);
+        if (!pool || this.videoTarget.active) return false; // Superseded by a newer request
 
-                console.log(`Loaded ${this.targetPool.length} target pixels, sorted by feature priority`);
-                resolve();
-            };
+        this.engine.updateTargetPool(pool, { step: options.step });
+        console.log(`Loaded ${pool.length} target pixels, sorted by feature priority`);
+        return true;
+    }
+
+    updateSamplingStatus(progress) {
+        const status = this.controls.samplingStatus;
+        status.textContent = progress < 1 ? `Sampling ${Math.round(progress * 100)}%` : '';
+        status.classList.toggle('hidden', progress >= 1);
+    }
+
+    // Loads an image element, resolving null if it fails
+    loadImage(src) {
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.crossOrigin = "anonymous";
+            img.onload = () => resolve(img);
             img.onerror = () => {
                 console.error('Failed to load target image:', src);
                 // Resolve anyway to prevent hanging
-                resolve();
+                resolve(null);
             };
             img.src = src;
         });
     }
 
-    getMousePos(e) {
-        const rect = this.canvas.getBoundingClientRect();
-        return {
-            x: e.clientX - rect.left,
-            y: e.clientY - rect.top
-        };
+    // Loads an image and places it with the fit mode into ImageData the size of the canvas
+    // (or of `width` × `height`). SVGs are drawn as `svgRender` says, outlines `step` wide.
+    async loadImageData(src, {
+        width = this.engine.width, height = this.engine.height, fit = this.targetFit, crop = this.cropRegion,
+        svgRender = this.svgRender, step = parseInt(this.controls.resolution.value)
+    } = {}) {
+        const markup = svgRender !== 'fill' ? svgFromDataURL(src) : null;
+        const img = await this.loadImage(markup ? svgToDataURL(outlineSvg(markup, { strokeWidth: step, keepFill: svgRender === 'both' })) : src);
+        if (!img) return null;
+
+        const tempCanvas = document.createElement('canvas');
+        const tempCtx = tempCanvas.getContext('2d');
+        tempCanvas.width = width;
+        tempCanvas.height = height;
+
+        const { sx, sy, sw, sh, dx, dy, dw, dh } = fitImage(fit, img.width, img.height, width, height, crop);
+        tempCtx.drawImage(img, sx, sy, sw, sh, dx, dy, dw, dh);
+
+        try {
+            return tempCtx.getImageData(0, 0, width, height);
+        } catch (err) {
+            // Cross-origin images without CORS headers taint the canvas
+            console.error('Cannot read target image pixels:', src, err);
+            return null;
+        }
+    }
+
+    // Reads an uploaded file as a target source (a data URL). SVG files are checked and
+    // given a size first; resolves null if the file can't be used.
+    readTargetFile(file) {
+        const svg = file.type === 'image/svg+xml' || file.name.toLowerCase().endsWith('.svg');
+        return new Promise((resolve) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                if (!svg) {
+                    resolve(reader.result);
+                    return;
+                }
+                try {
+                    resolve(svgToDataURL(normalizeSvg(reader.result)));
+                } catch (error) {
+                    console.error('Cannot use SVG file:', file.name, error);
+                    this.flashStatus(error.message);
+                    resolve(null);
+                }
+            };
+            reader.onerror = () => resolve(null);
+            if (svg) {
+                reader.readAsText(file);
+            } else {
+                reader.readAsDataURL(file);
+            }
+        });
     }
 
-    getRandomColor() {
-        const r = Math.floor(Math.random() * 256);
-        const g = Math.floor(Math.random() * 256);
-        const b = Math.floor(Math.random() * 256);
-        const a = Math.random().toFixed(2);
-        return `rgba(${r},${g},${b},${a})`;
+    // Renders the Text controls as a target: the only one, or with `add` appended to the playlist
+    useTextTarget({ add = false } = {}) {
+        const c = this.controls;
+        const text = c.targetText.value.replace(/\s+$/, '');
+        if (!text.trim()) {
+            this.flashStatus('Type some text first');
+            return;
+        }
+        const src = svgToDataURL(textToSvg(text, {
+            width: this.engine.width,
+            height: this.engine.height,
+            font: c.textFont.value,
+            weight: parseInt(c.textWeight.value),
+            size: parseInt(c.textSize.value),
+            align: c.textAlign.value,
+            color: c.textColor.value
+        }));
+        if (add) {
+            this.addToPlaylist(src);
+        } else {
+            this.loadTargetImage(src);
+        }
     }
 
-    hexToRgb(hex) {
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16)
-        } : { r: 255, g: 255, b: 255 };
+    // Uses the pasted SVG path data (or full SVG markup) as the target
+    useSvgPath() {
+        const input = this.controls.svgPath.value.trim();
+        if (!input) return;
+        try {
+            const markup = input.startsWith('<') ? normalizeSvg(input) : pathToSvg(input, { color: this.controls.textColor.value });
+            this.loadTargetImage(svgToDataURL(markup));
+        } catch (error) {
+            this.flashStatus(error.message);
+        }
     }
 
-    colorDistance(c1, c2) {
-        return Math.sqrt((c1.r - c2.r) ** 2 + (c1.g - c2.g) ** 2 + (c1.b - c2.b) ** 2);
+    applySvgRender() {
+        const mode = this.controls.svgRender.value;
+        if (mode === this.svgRender) return;
+        this.svgRender = mode;
+        if (this.playlist.entries.some(entry => isSvgSource(entry.src))) this.reloadTargets();
+        this.scheduleAutosave();
     }
 
-    // Helper for penalty calculation without updating particle
-    parseRgbForPenalty(color) {
-        if (color.startsWith('rgb')) {
-            const matches = color.match(/[\d.]+/g);
-            return {
-                r: parseInt(matches[0]),
-                g: parseInt(matches[1]),
-                b: parseInt(matches[2]),
-                a: matches[3] ? parseFloat(matches[3]) : 1.0
-            };
+    // Re-renders every playlist image at the current canvas size and fit, then re-targets the particles
+    async reloadTargets() {
+        const entries = this.playlist.entries;
+        for (let i = entries.length - 1; i >= 0; i--) {
+            const imageData = await this.loadImageData(entries[i].src);
+            if (imageData) {
+                entries[i].imageData = imageData;
+            } else {
+                this.playlist.remove(i); // Would no longer match the canvas
+            }
+        }
+        this.renderPlaylist();
+        if (await this.resampleTarget()) {
+            this.reapplyStrokes();
         }
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(color);
-        return result ? {
-            r: parseInt(result[1], 16),
-            g: parseInt(result[2], 16),
-            b: parseInt(result[3], 16),
-            a: 1.0
-        } : { r: 255, g: 255, b: 255, a: 1.0 };
     }
 
-    startDrawing(e) {
-        this.isDrawing = true;
-        this.isMorphing = false; // Immediately pause morphing
-        if (this.morphTimeout) {
-            clearTimeout(this.morphTimeout);
-            this.morphTimeout = null;
+    // Reads the Canvas Size controls and resizes the canvas to match
+    async applyCanvasSize() {
+        const preset = this.controls.canvasPreset.value;
+        this.controls.canvasCustom.hidden = preset !== 'custom';
+        const entry = this.playlist.current;
+        const image = preset === 'image' && entry ? await this.loadImage(entry.src) : null;
+        const size = canvasSizeFor(preset, {
+            image,
+            width: parseInt(this.controls.canvasWidth.value),
+            height: parseInt(this.controls.canvasHeight.value)
+        });
+        if (size.width === this.engine.width && size.height === this.engine.height) {
+            this.setupCanvas(); // Puts clamped custom values back in the inputs
+            return;
         }
-        this.updateMorphStatus('Drawing...');
-        // Add visual feedback class to canvas wrapper
-        this.canvas.parentElement.classList.add('drawing');
-        this.draw(e);
+        this.setCanvasSize(size);
+        await this.reloadTargets();
+        this.scheduleAutosave();
     }
 
-    stopDrawing() {
-        this.isDrawing = false;
+    /**
+     * Resizes the canvas (and the engine's stage), scaling particles and recorded strokes
+     * along. Target images need re-rendering afterwards (reloadTargets). Undo history is
+     * cleared, as its snapshots belong to the old size.
+     */
+    setCanvasSize({ width, height }) {
+        if (width === this.engine.width && height === this.engine.height) return;
+        this.strokePlayer.stop();
+        this.stopDrawing();
+        this.endCropSelection();
+        this.endMaskPainting();
+        this.cancelRecording(); // Frames can't change size mid-recording
+
+        const strokes = exportStrokes(this.strokeRecorder.completed, this.engine);
+        this.engine.resize(width, height);
+        this.strokeRecorder.set(importStrokes(strokes, { width, height }));
+        this.videoTarget.resize(width, height);
+        this.importanceMask.resize(width, height);
+        Object.keys(FORCE_PRESETS).forEach(name => {
+            const force = this.engine.getForce(name);
+            force.x = width / 2;
+            force.y = height / 2;
+        });
 
-        // Start 3s delay before morphing starts/resumes
-        if (this.morphTimeout) clearTimeout(this.morphTimeout);
-        this.updateMorphStatus('Morphing in 3s...');
+        this.history.clear();
+        this.updateHistoryButtons();
+        this.setupCanvas();
+        this.resetView();
+    }
 
-        this.morphTimeout = setTimeout(() => {
-            this.isMorphing = true;
-            this.morphStartFrame = this.frameCount;
-            this.morphTimeout = null;
-            this.updateMorphStatus('Morphing...');
-        }, 3000);
+    // Selects the preset matching the canvas size, or Custom
+    showCanvasSize() {
+        const { width, height } = this.engine;
+        const preset = Object.keys(CANVAS_PRESETS).find(name => CANVAS_PRESETS[name].width === width && CANVAS_PRESETS[name].height === height);
+        this.controls.canvasPreset.value = preset || 'custom';
+        this.controls.canvasCustom.hidden = !!preset;
+    }
 
-        // Remove drawing visual feedback
-        this.canvas.parentElement.classList.remove('drawing');
+    // Sets how target images (and video frames) are placed on the canvas; the images need
+    // re-rendering afterwards (reloadTargets)
+    setTargetFit(fit, crop = this.cropRegion) {
+        this.targetFit = fit;
+        this.cropRegion = crop;
+        this.videoTarget.fit = fit;
+        this.videoTarget.crop = crop;
+        this.controls.targetFit.value = fit;
+        this.controls.cropSelectBtn.hidden = fit !== 'crop';
+    }
 
-        if (this.controls.cycleColor.checked) {
-            const nextColor = this.getRandomColor();
-            // Convert to hex if needed or just use as is for input type="color" might need hex
-            const r = Math.floor(Math.random() * 256).toString(16).padStart(2, '0');
-            const g = Math.floor(Math.random() * 256).toString(16).padStart(2, '0');
-            const b = Math.floor(Math.random() * 256).toString(16).padStart(2, '0');
-            this.controls.brushColor.value = `#${r}${g}${b}`;
+    applyTargetFit() {
+        const fit = this.controls.targetFit.value;
+        if (fit === this.targetFit) return;
+        this.setTargetFit(fit);
+        if (fit === 'crop' && !this.cropRegion) {
+            this.startCropSelection(); // Until a region is chosen, crop works like cover
         }
+        this.reloadTargets();
+        this.scheduleAutosave();
     }
 
-    updateMorphStatus(status) {
-        this.controls.morphStatus.textContent = status;
-        // Remove all state classes first
-        this.controls.morphStatus.classList.remove('morphing', 'drawing', 'waiting', 'complete');
-
-        // Add appropriate class based on status
-        if (status === 'Morphing...') {
-            this.controls.morphStatus.classList.add('morphing');
-        } else if (status === 'Drawing...') {
-            this.controls.morphStatus.classList.add('drawing');
-        } else if (status.includes('3s')) {
-            this.controls.morphStatus.classList.add('waiting');
-        } else if (status === 'Complete!') {
-            this.controls.morphStatus.classList.add('complete');
+    // Crop to Selection: shows the current target image over the canvas so a region of it
+    // can be dragged out, at the canvas's aspect ratio
+    async startCropSelection() {
+        const entry = this.playlist.current;
+        const image = entry ? await this.loadImage(entry.src) : null;
+        if (!image) {
+            this.flashStatus('Load a target image to crop first');
+            return;
         }
+        this.stopDrawing();
+        this.cropping = { image, from: null, to: null };
+        this.controls.canvasWrapper.classList.add('cropping');
+        this.showStatus('Drag over the image to crop it (Esc cancels)');
+        this.drawCropSelection();
     }
 
-    draw(e) {
-        if (!this.isDrawing) return;
-
-        const rect = this.canvas.getBoundingClientRect();
-        const pos = {
-            x: (e.clientX - rect.left) * (this.canvas.width / rect.width),
-            y: (e.clientY - rect.top) * (this.canvas.height / rect.height)
-        };
-        const color = this.controls.brushColor.value;
-        const count = parseInt(this.controls.brushDensity.value); // Exact particle count as requested
-        const radius = 30; // Fixed spread radius for consistency
+    endCropSelection() {
+        if (!this.cropping) return;
+        this.cropping = null;
+        this.controls.canvasWrapper.classList.remove('cropping');
+        this.clearToolOverlay();
+        this.refreshMorphStatus();
+    }
 
-        for (let i = 0; i < count; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const dist = Math.sqrt(Math.random()) * radius; // Uniform distribution
-            const px = pos.x + Math.cos(angle) * dist;
-            const py = pos.y + Math.sin(angle) * dist;
-
-            if (this.targetPool.length > 0) {
-                let pixelColor = color;
-                if (this.controls.randomPixels.checked) {
-                    pixelColor = this.getRandomColor();
-                }
+    // Where the image is shown while cropping: all of it, letterboxed
+    cropFrame() {
+        const { image } = this.cropping;
+        return fitImage('contain', image.width, image.height, this.engine.width, this.engine.height);
+    }
 
-                // Parse RGB and Alpha
-                let pixelRgb;
-                if (pixelColor.startsWith('rgb')) {
-                    const matches = pixelColor.match(/[\d.]+/g);
-                    pixelRgb = {
-                        r: parseInt(matches[0]),
-                        g: parseInt(matches[1]),
-                        b: parseInt(matches[2]),
-                        a: matches[3] ? parseFloat(matches[3]) : 1.0
-                    };
-                } else {
-                    const rgb = this.hexToRgb(pixelColor);
-                    pixelRgb = { ...rgb, a: 1.0 };
-                }
+    // The dragged rectangle in canvas coordinates, at the canvas's aspect ratio and within the image
+    cropRect() {
+        const { from, to } = this.cropping;
+        if (!from || !to) return null;
+        const frame = this.cropFrame();
+        const aspect = this.engine.width / this.engine.height;
+        let width = Math.abs(to.x - from.x);
+        let height = Math.abs(to.y - from.y);
+        if (width / aspect > height) {
+            height = width / aspect;
+        } else {
+            width = height * aspect;
+        }
+        // Shrink to the room left in the direction of the drag
+        const right = to.x >= from.x;
+        const down = to.y >= from.y;
+        const roomX = right ? frame.dx + frame.dw - from.x : from.x - frame.dx;
+        const roomY = down ? frame.dy + frame.dh - from.y : from.y - frame.dy;
+        const fit = Math.min(1, roomX / width, roomY / height);
+        width *= fit;
+        height *= fit;
+        return { x: right ? from.x : from.x - width, y: down ? from.y : from.y - height, width, height };
+    }
 
-                // Spatial Sampling: Try to find an UNASSIGNED target near the cursor first
-                let bestTarget = null;
-                let minPenalty = Infinity;
-
-                // We'll sample 40 targets to find the best balance
-                for (let j = 0; j < 40; j++) {
-                    const idx = Math.floor(Math.random() * this.targetPool.length);
-                    const t = this.targetPool[idx];
-
-                    const d = Math.sqrt((t.x - px) ** 2 + (t.y - py) ** 2);
-                    const colorD = this.colorDistance(pixelRgb, { r: t.r, g: t.g, b: t.b });
-
-                    // Penalty logic:
-                    // 1. Favor distance heavily (stay under brush)
-                    // 2. Favor unoccupied targets (high penalty if occupied)
-                    // 3. Favor high-priority scores
-                    const occupationPenalty = t.occupiedBy ? 1000 : 0;
-                    const priorityBonus = (100 / (1 + t.score));
-                    const penalty = d + (colorD * pixelRgb.a) + occupationPenalty + priorityBonus;
-
-                    if (penalty < minPenalty) {
-                        minPenalty = penalty;
-                        bestTarget = t;
-                    }
-                }
+    drawCropSelection() {
+        const { image } = this.cropping;
+        const ctx = this.controls.toolOverlay.getContext('2d');
+        const { sx, sy, sw, sh, dx, dy, dw, dh } = this.cropFrame();
+        const rect = this.cropRect();
+        this.clearToolOverlay();
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.fillStyle = 'rgba(13, 13, 18, 0.85)';
+        ctx.fillRect(0, 0, this.engine.width, this.engine.height);
+        ctx.globalAlpha = 0.4;
+        ctx.drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh);
+        ctx.globalAlpha = 1;
+        if (rect && rect.width > 0) {
+            // The selection at full brightness
+            const scale = sw / dw;
+            ctx.drawImage(image, sx + (rect.x - dx) * scale, sy + (rect.y - dy) * scale, rect.width * scale, rect.height * scale,
+                rect.x, rect.y, rect.width, rect.height);
+            ctx.strokeStyle = '#fff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.strokeRect(rect.x, rect.y, rect.width, rect.height);
+        }
+        ctx.restore();
+    }
 
-                const delay = Math.random() * 150;
+    onCropPointer(e) {
+        const { x, y } = this.canvasPoint(e);
+        if (e.type === 'pointerdown') {
+            const frame = this.cropFrame();
+            this.cropping.from = {
+                x: Math.min(frame.dx + frame.dw, Math.max(frame.dx, x)),
+                y: Math.min(frame.dy + frame.dh, Math.max(frame.dy, y))
+            };
+            this.cropping.to = this.cropping.from;
+            this.canvas.setPointerCapture(e.pointerId);
+        } else if (this.cropping.from) {
+            this.cropping.to = { x, y };
+        }
+        this.drawCropSelection();
+        if (e.type === 'pointerup' && this.cropping.from) {
+            this.finishCropSelection();
+        }
+    }
 
-                // Safety check: ensure we found a valid target
-                if (!bestTarget) continue;
+    // Turns the selection into fractions of the image and re-renders the targets with it
+    finishCropSelection() {
+        const rect = this.cropRect();
+        const frame = this.cropFrame();
+        if (!rect || rect.width < 4 || rect.height < 4) {
+            // Too small to mean anything: start again
+            this.cropping.from = null;
+            this.cropping.to = null;
+            this.drawCropSelection();
+            return;
+        }
+        this.endCropSelection();
+        this.setTargetFit('crop', {
+            x: (rect.x - frame.dx) / frame.dw,
+            y: (rect.y - frame.dy) / frame.dh,
+            width: rect.width / frame.dw,
+            height: rect.height / frame.dh
+        });
+        this.reloadTargets();
+        this.scheduleAutosave();
+    }
 
-                if (bestTarget.occupiedBy) {
-                    // Only consider replacement if the existing particle has FINISHED morphing
-                    // This prevents removing still-moving particles
-                    if (!bestTarget.occupiedBy.morphed) {
-                        // Target is occupied by a still-morphing particle, skip it
-                        continue;
-                    }
+    // Options for sampleTargetPool from the Resolution and Sampling controls
+    samplingOptions() {
+        const c = this.controls;
+        const background = c.samplingBackground.value;
+        return {
+            step: parseInt(c.resolution.value),
+            mode: c.samplingMode.value,
+            edgeThreshold: parseInt(c.edgeThreshold.value),
+            invert: c.samplingTone.value === 'light',
+            mask: this.importanceMask.values(),
+            alphaThreshold: background === 'alpha' ? REMOVE_ALPHA_THRESHOLD : KEEP_ALPHA_THRESHOLD,
+            keyColor: background === 'color' ? parseColor(c.backgroundKey.value) : null,
+            keyTolerance: parseInt(c.backgroundTolerance.value),
+            palette: this.paletteOptions()
+        };
+    }
 
-                    // Convergence Logic: Only replace if the new color is a significantly better match
-                    let currentColor = pixelColor;
+    // The Palette control as quantizeSlots() options (see palette.js), or null for the image's own colours
+    paletteOptions() {
+        const c = this.controls;
+        const choice = c.paletteMode.value;
+        switch (choice) {
+            case 'none':
+                return null;
+            case 'kmeans':
+            case 'median-cut':
+                return { method: choice, count: parseInt(c.paletteCount.value) };
+            case 'duotone':
+                return { method: 'duotone', colors: [c.duotoneDark.value, c.duotoneLight.value] };
+            case 'quick':
+                return { method: 'fixed', colors: Array.from(document.querySelectorAll('.color-preset'), button => button.dataset.color) };
+            default:
+                return { method: 'fixed', colors: PALETTES[choice] };
+        }
+    }
 
-                    // "Favor Original Colors" logic: Sprinkle in original colors (50% chance)
-                    if (this.controls.favorColors.checked && Math.random() < 0.5) {
-                        currentColor = `rgb(${bestTarget.r},${bestTarget.g},${bestTarget.b})`;
-                    }
+    // Particles take on their slot's colour while a video plays or a palette is in use
+    updateLiveColors() {
+        this.engine.liveColors = this.videoTarget.active || this.controls.paletteMode.value !== 'none';
+    }
 
-                    const currentMatch = this.colorDistance(bestTarget.occupiedBy.rgb, { r: bestTarget.r, g: bestTarget.g, b: bestTarget.b });
-                    const newMatch = this.colorDistance(this.parseRgbForPenalty(currentColor), { r: bestTarget.r, g: bestTarget.g, b: bestTarget.b });
-
-                    if (newMatch < currentMatch * 0.9) {
-                        // Create a REPLACEMENT particle that will remove the old one when it finishes
-                        const oldParticle = bestTarget.occupiedBy;
-                        const replacementParticle = new ReplacementParticle(
-                            px, py,
-                            bestTarget.x, bestTarget.y,
-                            currentColor,
-                            delay,
-                            bestTarget,
-                            oldParticle
-                        );
-                        // Mark the target as now being claimed by the replacement
-                        bestTarget.occupiedBy = replacementParticle;
-                        bestTarget.pendingReplacement = oldParticle; // Track the old particle for removal
-                        this.particles.push(replacementParticle);
-                    }
+    // Shows the Sampling options that apply to the chosen mode and background, and passes
+    // them on to video sampling (which falls back to the grid for the slower modes)
+    updateSamplingControls() {
+        const c = this.controls;
+        const mode = c.samplingMode.value;
+        c.edgeThresholdGroup.hidden = mode !== 'edges';
+        c.samplingToneGroup.hidden = !['dither', 'stipple', 'voronoi'].includes(mode);
+        c.backgroundKeyGroup.hidden = c.samplingBackground.value !== 'color';
+        c.edgeThresholdValue.textContent = c.edgeThreshold.value;
+        c.backgroundToleranceValue.textContent = c.backgroundTolerance.value;
+        const palette = c.paletteMode.value;
+        c.paletteCountGroup.hidden = palette !== 'kmeans' && palette !== 'median-cut';
+        c.duotoneGroup.hidden = palette !== 'duotone';
+        c.paletteCountValue.textContent = c.paletteCount.value;
+        this.updateLiveColors();
+
+        const { step, ...options } = this.samplingOptions();
+        if (!LIVE_SAMPLING_MODES.includes(options.mode)) options.mode = 'grid';
+        this.videoTarget.setSampling(options);
+    }
+
+    applySampling() {
+        this.updateSamplingControls();
+        this.resampleTarget().then(applied => {
+            if (applied) this.reapplyStrokes();
+        });
+        this.scheduleAutosave();
+    }
+
+    // Importance painting: brush strokes paint the mask instead of spawning particles, over
+    // a faint view of the target image
+    startMaskPainting() {
+        this.endCropSelection();
+        this.stopDrawing();
+        const entry = this.playlist.current;
+        let backdrop = null;
+        if (entry) {
+            backdrop = document.createElement('canvas');
+            backdrop.width = entry.imageData.width;
+            backdrop.height = entry.imageData.height;
+            backdrop.getContext('2d').putImageData(entry.imageData, 0, 0);
+        }
+        this.maskPainting = { backdrop, last: null, changed: false };
+        this.controls.maskPaintBtn.textContent = 'Done';
+        this.controls.maskPaintBtn.classList.add('active');
+        this.showStatus('Paint the parts that matter most (Shift erases, Esc when done)');
+        this.updateBrushCursor();
+        this.drawImportanceMask();
+    }
+
+    // Leaves importance painting, resampling the target if the mask changed
+    endMaskPainting() {
+        if (!this.maskPainting) return;
+        const { changed } = this.maskPainting;
+        this.maskPainting = null;
+        this.controls.maskPaintBtn.textContent = 'Paint';
+        this.controls.maskPaintBtn.classList.remove('active');
+        this.clearToolOverlay();
+        this.updateBrushCursor();
+        this.refreshMorphStatus();
+        if (changed) this.applySampling();
+    }
+
+    clearImportanceMask() {
+        if (this.importanceMask.empty) return;
+        this.importanceMask.clear();
+        if (this.maskPainting) {
+            this.maskPainting.changed = true;
+            this.drawImportanceMask();
+        } else {
+            this.applySampling();
+        }
+    }
+
+    drawImportanceMask() {
+        const { backdrop } = this.maskPainting;
+        const ctx = this.controls.toolOverlay.getContext('2d');
+        this.clearToolOverlay();
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        if (backdrop) {
+            ctx.globalAlpha = 0.35;
+            ctx.drawImage(backdrop, 0, 0, this.engine.width, this.engine.height);
+            ctx.globalAlpha = 1;
+        }
+        ctx.drawImage(this.importanceMask.canvas, 0, 0, this.engine.width, this.engine.height);
+        ctx.restore();
+    }
+
+    onMaskPointer(e) {
+        const point = this.canvasPoint(e);
+        const radius = parseInt(this.controls.brushSize.value);
+        const options = { erase: e.shiftKey };
+        if (e.type === 'pointerdown') {
+            this.canvas.setPointerCapture(e.pointerId);
+            this.importanceMask.paint(point.x, point.y, radius, options);
+            this.maskPainting.last = point;
+        } else if (e.type === 'pointermove' && this.maskPainting.last) {
+            this.importanceMask.stroke(this.maskPainting.last, point, radius, options);
+            this.maskPainting.last = point;
+        } else {
+            this.maskPainting.last = null;
+            return;
+        }
+        this.maskPainting.changed = true;
+        this.drawImportanceMask();
+    }
+
+    async addToPlaylist(src) {
+        const imageData = await this.loadImageData(src);
+        if (!imageData) {
+            this.flashStatus('Could not load image');
+            return;
+        }
+        this.playlist.add({ src, imageData });
+        this.renderPlaylist();
+        this.scheduleAutosave();
+
+        // A finished morph was waiting for a second target: start cycling now
+        if (this.engine.completed && !this.playlistTimeout) {
+            this.schedulePlaylistAdvance();
+        }
+    }
+
+    removeFromPlaylist(index) {
+        if (this.playlist.length <= 1) return; // Always keep one target
+        const wasCurrent = index === this.playlist.index;
+        this.playlist.remove(index);
+        if (wasCurrent) {
+            this.showPlaylistEntry(this.playlist.current);
+        } else {
+            this.renderPlaylist();
+        }
+    }
+
+    renderPlaylist() {
+        const container = this.controls.playlistItems;
+        container.innerHTML = '';
+        this.playlist.entries.forEach((entry, index) => {
+            const item = document.createElement('button');
+            item.className = 'playlist-item' + (index === this.playlist.index ? ' active' : '');
+            item.dataset.index = index;
+            item.title = `Target ${index + 1}`;
+
+            const thumb = document.createElement('img');
+            thumb.src = entry.src;
+            thumb.alt = '';
+            item.appendChild(thumb);
+
+            if (this.playlist.length > 1) {
+                const remove = document.createElement('span');
+                remove.className = 'playlist-remove';
+                remove.textContent = '×';
+                remove.title = 'Remove';
+                item.appendChild(remove);
+            }
+            container.appendChild(item);
+        });
+    }
+
+    schedulePlaylistAdvance() {
+        if (this.playlist.length < 2 || this.videoTarget.active) return;
+        if (this.playlistTimeout) clearTimeout(this.playlistTimeout);
+        const hold = parseFloat(this.controls.playlistHold.value) * 1000;
+        this.playlistTimeout = setTimeout(() => this.advancePlaylist(), hold);
+    }
+
+    cancelPlaylistAdvance() {
+        if (this.playlistTimeout) {
+            clearTimeout(this.playlistTimeout);
+            this.playlistTimeout = null;
+        }
+    }
+
+    advancePlaylist() {
+        this.cancelPlaylistAdvance();
+        const entry = this.playlist.next();
+        if (entry) {
+            this.showPlaylistEntry(entry);
+        }
+    }
+
+    async startVideo(open) {
+        try {
+            await open();
+        } catch (err) {
+            console.error('Could not start video target:', err);
+            this.flashStatus('Video unavailable');
+            return;
+        }
+
+        this.cancelPlaylistAdvance();
+        this.updateLiveColors();
+        this.controls.videoStopBtn.disabled = false;
+        if (this.engine.particles.length > 0 && !this.isDrawing) {
+            this.startMorph();
+        }
+    }
+
+    stopVideo() {
+        if (!this.videoTarget.active) return;
+        this.videoTarget.stop();
+        this.updateLiveColors();
+        this.controls.videoStopBtn.disabled = true;
+
+        // Return to the still image target
+        this.showPlaylistEntry(this.playlist.current);
+    }
+
+    async startAudio(open, label) {
+        try {
+            await open();
+        } catch (err) {
+            console.error('Could not start audio input:', err);
+            this.flashStatus(err.message || 'Audio unavailable');
+            return;
+        }
+        this.audioReactor.reset();
+        this.controls.audioStopBtn.disabled = false;
+        this.controls.audioStatus.textContent = `♪ ${label}`;
+    }
+
+    stopAudio() {
+        if (!this.audioInput.active) return;
+        this.audioInput.stop();
+        this.engine.setAudio(null);
+        this.controls.audioStopBtn.disabled = true;
+        this.controls.audioStatus.textContent = 'No audio';
+    }
+
+    // Reads the Audio mapping editor: the band driving each effect, and how strongly
+    applyAudioMappings() {
+        const mappings = [];
+        AUDIO_EFFECTS.forEach(effect => {
+            const key = effect.charAt(0).toUpperCase() + effect.slice(1);
+            const band = this.controls[`audio${key}Band`].value;
+            const amount = parseInt(this.controls[`audio${key}Amount`].value) / 100;
+            this.controls[`audio${key}AmountValue`].textContent = `${Math.round(amount * 100)}%`;
+            if (band !== 'off') mappings.push({ band, effect, amount });
+        });
+        this.audioReactor.setMappings(mappings);
+    }
+
+    // Re-targets the existing particles to a playlist entry
+    async showPlaylistEntry(entry) {
+        if (!entry || this.videoTarget.active) return;
+        this.cancelPlaylistAdvance();
+        this.renderPlaylist();
+
+        const options = this.samplingOptions();
+        const pool = await this.sampler.sample(entry.imageData, options);
+        if (!pool || this.videoTarget.active) return; // Superseded by a newer request
+
+        this.engine.retarget(pool, { step: options.step, policy: this.controls.playlistPolicy.value });
+        this.renderPlaylist();
+    }
+
+    onPointerDown(e) {
+        if (this.cropping) {
+            if (e.button === 0) this.onCropPointer(e);
+            return;
+        }
+        if (this.maskPainting) {
+            if (e.button === 0) this.onMaskPointer(e);
+            return;
+        }
+        if (e.pointerType === 'touch') {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.viewport.pinch) return; // Extra fingers during a pinch are ignored
+            if (this.controls.touchMode.value === 'pinch' && this.touches.size === 2) {
+                // A second finger turns the gesture into a pinch; the first finger's stroke ends
+                this.touches.forEach((_, id) => this.stopDrawing(id));
+                const [a, b] = this.touches.values();
+                this.viewport.startPinch(a, b);
+                return;
+            }
+        }
+        if (e.button === 1) {
+            // Middle-button drag pans the view
+            e.preventDefault();
+            this.panPointer = { id: e.pointerId, x: e.clientX, y: e.clientY };
+            this.canvas.setPointerCapture(e.pointerId);
+            return;
+        }
+        if (e.button !== 0) return;
+        this.startDrawing(e);
+    }
+
+    onPointerMove(e) {
+        if (e.pointerType !== 'touch') {
+            this.cursorInside = true;
+            this.updateBrushCursorPosition(e);
+            this.updateCursorForce(e);
+        }
+        if (this.cropping) {
+            this.onCropPointer(e);
+            return;
+        }
+        if (this.maskPainting) {
+            this.onMaskPointer(e);
+            return;
+        }
+        if (this.touches.has(e.pointerId)) {
+            this.touches.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.viewport.pinch) {
+                const [a, b] = this.touches.values();
+                if (b) this.viewport.movePinch(a, b);
+                this.updateView();
+                return;
+            }
+        }
+        if (this.panPointer && this.panPointer.id === e.pointerId) {
+            this.viewport.panBy(e.clientX - this.panPointer.x, e.clientY - this.panPointer.y);
+            this.panPointer.x = e.clientX;
+            this.panPointer.y = e.clientY;
+            return;
+        }
+        this.draw(e);
+    }
+
+    onPointerUp(e) {
+        if (this.cropping) {
+            if (e.type === 'pointerup') this.onCropPointer(e);
+            return;
+        }
+        if (this.maskPainting) {
+            this.onMaskPointer(e);
+            return;
+        }
+        if (this.touches.delete(e.pointerId) && this.viewport.pinch) {
+            // Lifting a finger ends the pinch; the other one doesn't start drawing
+            if (this.touches.size < 2) this.viewport.endPinch();
+            return;
+        }
+        if (this.panPointer && this.panPointer.id === e.pointerId) {
+            this.panPointer = null;
+            return;
+        }
+        if (!this.activeStrokes.has(e.pointerId)) return;
+        this.stopDrawing(e.pointerId);
+        this.syncForce('cursor');
+    }
+
+    // Starts a stroke for the event's pointer; several pointers can draw at once
+    startDrawing(e) {
+        if (this.activeStrokes.has(e.pointerId)) return;
+        const first = this.activeStrokes.size === 0;
+        if (first) {
+            this.isDrawing = true;
+            this.strokePlayer.stop(); // Drawing takes over from a replay
+            this.stopAutoDraw(); // ... or from auto-draw
+            this.recordHistory(); // One undo step covers the strokes drawn together
+            this.syncForce('cursor'); // Don't push away the particles being drawn
+            this.engine.pause(); // Immediately pause morphing
+            if (this.engine.reversed) this.engine.setReversed(false);
+            this.setPaused(false);
+            this.clearTimeline(); // Its frames don't have the new particles
+            this.cancelPlaylistAdvance();
+            if (this.morphTimeout) {
+                clearTimeout(this.morphTimeout);
+                this.morphTimeout = null;
+            }
+            this.setMorphState('drawing');
+            // Add visual feedback class to canvas wrapper
+            this.controls.canvasWrapper.classList.add('drawing');
+        }
+
+        const brush = this.currentBrush();
+        if (!first) {
+            // Every extra pointer gets its own colour, spread around the colour wheel
+            brush.color = shiftHue(brush.color, 137.5 * this.activeStrokes.size);
+        }
+        const stroke = this.strokeRecorder.begin(brush);
+        const entry = { stroke, shapeEnd: null };
+        this.activeStrokes.set(e.pointerId, entry);
+        if (SHAPE_TOOLS.includes(stroke.tool)) {
+            // Shapes are recorded as their start and end points
+            const { x, y } = this.canvasPoint(e);
+            this.strokeRecorder.add(stroke, x, y);
+            entry.shapeEnd = { x, y };
+        }
+        this.draw(e);
+    }
+
+    // Ends the stroke drawn by `pointerId`, or every stroke in progress if none is given
+    stopDrawing(pointerId = null) {
+        if (pointerId === null) {
+            [...this.activeStrokes.keys()].forEach(id => this.stopDrawing(id));
+            return;
+        }
+        const entry = this.activeStrokes.get(pointerId);
+        if (!entry) return;
+        this.activeStrokes.delete(pointerId);
+
+        const { stroke, shapeEnd } = entry;
+        if (SHAPE_TOOLS.includes(stroke.tool) && shapeEnd) {
+            this.strokeRecorder.add(stroke, shapeEnd.x, shapeEnd.y);
+            this.applyStrokePoint(stroke, stroke.points.length - 1);
+        }
+        this.strokeRecorder.end(stroke);
+        this.drawToolPreview(); // Drops this shape's outline, keeping any others being dragged
+        if (this.activeStrokes.size > 0) return;
+
+        this.isDrawing = false;
+        this.updateStrokeCount();
+        this.scheduleAutosave();
+        this.scheduleMorph();
+
+        // Remove drawing visual feedback
+        this.controls.canvasWrapper.classList.remove('drawing');
+
+        if (this.controls.cycleColor.checked) {
+            // input type="color" needs a hex value
+            const random = this.engine.random;
+            const r = Math.floor(random() * 256).toString(16).padStart(2, '0');
+            const g = Math.floor(random() * 256).toString(16).padStart(2, '0');
+            const b = Math.floor(random() * 256).toString(16).padStart(2, '0');
+            this.controls.brushColor.value = `#${r}${g}${b}`;
+        }
+    }
+
+    // Starts the morph the way the Morph panel says once drawing stops: after the delay,
+    // as soon as enough of the target is filled, or only when asked (Morph button or M)
+    scheduleMorph() {
+        if (this.morphTimeout) {
+            clearTimeout(this.morphTimeout);
+            this.morphTimeout = null;
+        }
+        switch (this.controls.morphTrigger.value) {
+            case 'manual':
+                this.setMorphState('ready');
+                break;
+            case 'threshold': {
+                const threshold = parseInt(this.controls.morphThreshold.value);
+                const percent = this.filledPercent();
+                if (percent >= threshold) {
+                    this.startMorph();
                 } else {
-                    let currentColor = pixelColor;
-                    if (this.controls.favorColors.checked && Math.random() < 0.5) {
-                        currentColor = `rgb(${bestTarget.r},${bestTarget.g},${bestTarget.b})`;
-                    }
+                    this.setMorphState('filling', { percent, threshold });
+                }
+                break;
+            }
+            default: {
+                const seconds = parseFloat(this.controls.morphDelay.value);
+                this.setMorphState('waiting', { seconds });
+                this.morphTimeout = setTimeout(() => this.startMorph(), seconds * 1000);
+            }
+        }
+    }
+
+    // Share of the target slots holding a particle, in whole percent
+    filledPercent() {
+        const slots = this.engine.targetPool.length;
+        return slots > 0 ? Math.floor(this.engine.filledSlots() / slots * 100) : 0;
+    }
+
+    applyMorphTrigger() {
+        const trigger = this.controls.morphTrigger.value;
+        this.controls.morphDelayGroup.hidden = trigger !== 'auto';
+        this.controls.morphThresholdGroup.hidden = trigger !== 'threshold';
+        this.controls.morphDelayValue.textContent = `${this.controls.morphDelay.value} s`;
+        this.controls.morphThresholdValue.textContent = `${this.controls.morphThreshold.value}%`;
+        // A morph waiting to start follows the new trigger
+        if (['waiting', 'ready', 'filling'].includes(this.morphState)) this.scheduleMorph();
+    }
+
+    startMorph() {
+        if (this.morphTimeout) {
+            clearTimeout(this.morphTimeout);
+            this.morphTimeout = null;
+        }
+        this.engine.startMorph(); // See onMorphStart()
+        if (this.exportArmed) {
+            this.startRecording();
+        }
+    }
+
+    // Starts the morph right away, whatever the trigger
+    morphNow() {
+        if (this.isDrawing || this.engine.particles.length === 0) return;
+        this.stopAutoDraw();
+        this.startMorph();
+    }
+
+    // Sends the particles back to where they were drawn, or out to the image again
+    toggleReversed() {
+        if (this.isDrawing || this.engine.particles.length === 0) return;
+        this.stopAutoDraw();
+        this.cancelPlaylistAdvance();
+        this.engine.setReversed(!this.engine.reversed);
+        this.startMorph();
+    }
+
+    togglePaused() {
+        if (!this.paused && !this.engine.isMorphing) return; // Nothing moving to pause
+        this.setPaused(!this.paused);
+    }
+
+    // Freezes the animation where it is, or carries on. Carrying on from a frame picked
+    // on the timeline records over the rest of it.
+    setPaused(paused) {
+        if (paused === this.paused) return;
+        this.paused = paused;
+        this.updatePlaybackButtons();
+        if (paused) {
+            this.setMorphState('paused');
+            return;
+        }
+        if (this.morphState === 'scrubbing' && this.timeline.length > 0) {
+            this.timeline.resumeFrom(parseInt(this.controls.timelineScrubber.value));
+            if (this.engine.completed) this.timeline.stop();
+        }
+        if (['paused', 'scrubbing'].includes(this.morphState)) {
+            this.setMorphState(this.engine.completed ? (this.engine.reversed ? 'rewound' : 'complete') : (this.engine.reversed ? 'reversing' : 'morphing'));
+        }
+    }
+
+    updatePlaybackButtons() {
+        this.controls.playPauseBtn.textContent = this.paused ? '▶ Play' : '⏸ Pause';
+        this.controls.reverseBtn.textContent = this.engine.reversed ? '⏩ Forward' : '⏪ Reverse';
+    }
+
+    // Shows keyframe `index` of the recorded morph, pausing playback there
+    seekTimeline(index) {
+        if (this.timeline.length === 0) return;
+        index = Math.max(0, Math.min(this.timeline.length - 1, index));
+        this.controls.timelineScrubber.value = index;
+        this.cancelPlaylistAdvance();
+        this.cancelAutoDrawLoop();
+        this.timeline.stop();
+        this.paused = true;
+        this.seeking = true; // Landing on the finished frame isn't a new completion
+        const keyframe = this.timeline.seek(index);
+        this.seeking = false;
+        this.updatePlaybackButtons();
+        this.setMorphState('scrubbing', { frame: keyframe.frame, duration: this.timeline.duration });
+        this.updateTimeline();
+    }
+
+    clearTimeline() {
+        this.timeline.clear();
+        this.updateTimeline();
+    }
+
+    updateTimeline() {
+        const { length } = this.timeline;
+        const scrubber = this.controls.timelineScrubber;
+        scrubber.disabled = length < 2;
+        scrubber.max = Math.max(0, length - 1);
+        if (this.morphState !== 'scrubbing') scrubber.value = scrubber.max; // Follow the recording
+        const keyframe = this.timeline.keyframes[parseInt(scrubber.value)];
+        this.controls.timelineLabel.textContent = keyframe ? `Frame ${keyframe.frame} of ${this.timeline.duration}` : 'No morph recorded';
+    }
+
+    // Sets what the morph is doing and shows it in the status pill
+    setMorphState(state, detail = {}) {
+        this.morphState = state;
+        this.morphStateDetail = detail;
+        this.refreshMorphStatus();
+    }
 
-                    const particle = new Particle(px, py, bestTarget.x, bestTarget.y, currentColor, delay);
-                    bestTarget.occupiedBy = particle;
-                    this.particles.push(particle);
+    // Shows the morph state again, e.g. after a message replaced it
+    refreshMorphStatus() {
+        const { text, className } = MORPH_STATES[this.morphState];
+        this.showStatus(typeof text === 'function' ? text(this.morphStateDetail) : text, className);
+    }
+
+    showStatus(text, className = null) {
+        const status = this.controls.morphStatus;
+        status.textContent = text;
+        status.classList.remove(...STATUS_CLASSES);
+        if (className) status.classList.add(className);
+    }
+
+    // Pointer position in canvas coordinates
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.engine.width / rect.width),
+            y: (e.clientY - rect.top) * (this.engine.height / rect.height)
+        };
+    }
+
+    // Pen pressure relative to a normal press (0.5 in Pointer Events); mouse and touch count as 1
+    pressureOf(e) {
+        if (e.pointerType !== 'pen' || !e.pressure) return 1;
+        return Math.min(2, Math.max(0.1, e.pressure * 2));
+    }
+
+    draw(e) {
+        const entry = this.activeStrokes.get(e.pointerId);
+        if (!entry) return;
+
+        const { x, y } = this.canvasPoint(e);
+        const { stroke } = entry;
+        if (SHAPE_TOOLS.includes(stroke.tool)) {
+            entry.shapeEnd = { x, y };
+            this.drawToolPreview();
+            return;
+        }
+        if (stroke.tool === 'fill' && stroke.points.length > 0) return; // One fill per click
+
+        this.strokeRecorder.add(stroke, x, y, this.pressureOf(e));
+        this.applyStrokePoint(stroke, stroke.points.length - 1);
+    }
+
+    // The brush settings a stroke is recorded (and replayed) with
+    currentBrush() {
+        return {
+            tool: this.controls.brushTool.value,
+            radius: parseInt(this.controls.brushSize.value),
+            color: this.controls.brushColor.value,
+            density: parseInt(this.controls.brushDensity.value),
+            randomColors: this.controls.randomPixels.checked,
+            favorColors: this.controls.favorColors.checked,
+            tolerance: parseInt(this.controls.fillTolerance.value)
+        };
+    }
+
+    // Spawns one brush dab at canvas coordinates, with the current brush unless one is given
+    spawnAt(x, y, brush = this.currentBrush(), pressure = 1) {
+        this.engine.spawn(x, y, {
+            color: brush.color,
+            count: Math.max(1, Math.round(brush.density * pressure)), // Exact particle count as requested
+            radius: brush.radius ?? 30,
+            randomColors: brush.randomColors,
+            favorColors: brush.favorColors
+        });
+    }
+
+    // Applies one recorded point of a stroke, whether drawn live or replayed: a dab for the
+    // spray and eraser, a fill, or the whole shape once its end point is recorded
+    applyStrokePoint(stroke, index) {
+        const [x, y, , pressure = 1] = stroke.points[index];
+        const tool = stroke.tool || 'spray';
+        const radius = stroke.radius ?? 30;
+        if (tool === 'spray') {
+            this.spawnAt(x, y, stroke, pressure);
+        } else if (tool === 'eraser') {
+            this.engine.erase(x, y, radius * pressure);
+        } else if (tool === 'fill') {
+            this.engine.fill(x, y, {
+                color: stroke.color,
+                randomColors: stroke.randomColors,
+                favorColors: stroke.favorColors,
+                tolerance: stroke.tolerance ?? 40
+            });
+        } else if (index > 0) {
+            this.emitShape(stroke, stroke.points[0], stroke.points[index]);
+        }
+    }
+
+    // Spawns particles along a shape's outline: `density` of them per brush width of outline,
+    // spread across a band a fifth of the brush size wide
+    emitShape(stroke, [x0, y0], [x1, y1]) {
+        const radius = stroke.radius ?? 30;
+        const spacing = radius * 2 / stroke.density;
+        pointsAlong(outline(stroke.tool, x0, y0, x1, y1), spacing).forEach(([x, y]) => {
+            this.engine.spawn(x, y, {
+                color: stroke.color,
+                count: 1,
+                radius: radius / 5,
+                randomColors: stroke.randomColors,
+                favorColors: stroke.favorColors
+            });
+        });
+    }
+
+    // Redraws the dashed outlines of the shapes being dragged
+    drawToolPreview() {
+        const ctx = this.controls.toolOverlay.getContext('2d');
+        this.clearToolOverlay();
+        ctx.save();
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.lineWidth = 2;
+        ctx.setLineDash([6, 4]);
+        this.activeStrokes.forEach(({ stroke, shapeEnd }) => {
+            if (!shapeEnd || !SHAPE_TOOLS.includes(stroke.tool)) return;
+            const [x0, y0] = stroke.points[0];
+            ctx.strokeStyle = stroke.color;
+            drawOutline(ctx, stroke.tool, x0, y0, shapeEnd.x, shapeEnd.y);
+        });
+        ctx.restore();
+    }
+
+    clearToolOverlay() {
+        const overlay = this.controls.toolOverlay;
+        overlay.getContext('2d').clearRect(0, 0, overlay.width, overlay.height);
+    }
+
+    // Clears the particles and draws `strokes` again (by default the ones on the canvas) against the current target
+    replayStrokes(strokes = this.strokeRecorder.completed, { instant = this.controls.strokeSpeed.value === 'instant' } = {}) {
+        if (strokes.length === 0 || this.isDrawing) return;
+        if (this.morphTimeout) {
+            clearTimeout(this.morphTimeout);
+            this.morphTimeout = null;
+        }
+        this.stopAutoDraw();
+        this.cancelPlaylistAdvance();
+        this.recordHistory();
+        this.engine.clear();
+        this.clearTimeline();
+        this.strokeRecorder.set(strokes);
+        this.updateStrokeCount();
+        this.setMorphState('drawing');
+        this.strokePlayer.play(strokes, {
+            instant,
+            spawn: (stroke, index) => this.applyStrokePoint(stroke, index),
+            onDone: () => {
+                if (instant) {
+                    this.startMorph();
+                } else {
+                    this.scheduleMorph();
                 }
+                this.scheduleAutosave();
             }
+        });
+    }
+
+    // Redraws the strokes instantly after the target or resolution changes, if enabled
+    reapplyStrokes() {
+        if (!this.controls.strokeReapply.checked) return;
+        this.replayStrokes(this.strokeRecorder.completed, { instant: true });
+    }
+
+    updateStrokeCount() {
+        const count = this.strokeRecorder.completed.length;
+        this.controls.strokeCount.textContent = `${count} stroke${count === 1 ? '' : 's'}`;
+    }
+
+    exportStrokes() {
+        const strokes = this.strokeRecorder.completed;
+        if (strokes.length === 0) {
+            this.flashStatus('Nothing drawn yet');
+            return;
+        }
+        const file = exportStrokes(strokes, this.engine);
+        const blob = new Blob([JSON.stringify(file)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = `pixel-morph-strokes-${Date.now()}.json`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async importStrokesFile(file) {
+        try {
+            this.replayStrokes(importStrokes(await file.text(), this.engine));
+        } catch (error) {
+            console.error('Could not import strokes:', error);
+            this.flashStatus(error.message);
         }
+    }
 
-        this.updateStats();
+    renderGestures() {
+        const select = this.controls.gestureSelect;
+        const selected = select.value;
+        select.innerHTML = '';
+        const names = this.gestures.names();
+        names.forEach(name => select.add(new Option(name, name, false, name === selected)));
+        select.disabled = names.length === 0;
+        this.controls.gesturePlayBtn.disabled = names.length === 0;
+        this.controls.gestureDeleteBtn.disabled = names.length === 0;
     }
 
-    clearCanvas() {
-        this.particles = [];
-        this.isMorphing = false;
+    saveGesture() {
+        const name = this.controls.gestureName.value.trim();
+        const strokes = this.strokeRecorder.completed;
+        if (!name) {
+            this.flashStatus('Name the gesture first');
+            return;
+        }
+        if (strokes.length === 0) {
+            this.flashStatus('Nothing drawn yet');
+            return;
+        }
+        try {
+            this.gestures.save(name, strokes, this.engine);
+        } catch (error) {
+            // localStorage can be full or disabled
+            console.error('Could not save gesture:', error);
+            this.flashStatus('Could not save gesture');
+            return;
+        }
+        this.controls.gestureName.value = '';
+        this.renderGestures();
+        this.controls.gestureSelect.value = name;
+    }
+
+    playGesture() {
+        const name = this.controls.gestureSelect.value;
+        if (!name) return;
+        try {
+            const strokes = this.gestures.load(name, this.engine);
+            if (strokes) this.replayStrokes(strokes);
+        } catch (error) {
+            console.error('Could not play gesture:', error);
+            this.flashStatus(error.message);
+        }
+    }
+
+    deleteGesture() {
+        const name = this.controls.gestureSelect.value;
+        if (!name) return;
+        this.gestures.remove(name);
+        this.renderGestures();
+    }
 
-        // Reset target pool occupancy and pending replacements
-        this.targetPool.forEach(t => {
-            t.occupiedBy = null;
-            t.pendingReplacement = null;
+    toggleAutoDraw() {
+        if (this.autoDrawer.active) {
+            this.stopAutoDraw();
+            if (this.engine.particles.length > 0) this.scheduleMorph();
+        } else {
+            this.startAutoDraw();
+        }
+    }
+
+    // Fills the target from the chosen spawn source instead of a hand-drawn stroke, then morphs
+    startAutoDraw({ record = true } = {}) {
+        if (this.isDrawing) return;
+        if (this.morphTimeout) {
+            clearTimeout(this.morphTimeout);
+            this.morphTimeout = null;
+        }
+        this.strokePlayer.stop();
+        this.cancelAutoDrawLoop();
+        this.cancelPlaylistAdvance();
+        if (record) this.recordHistory();
+        this.engine.pause();
+        if (this.engine.reversed) this.engine.setReversed(false);
+        this.setPaused(false);
+        this.clearTimeline();
+        const { color, randomColors, favorColors } = this.currentBrush();
+        this.autoDrawer.start(this.controls.autoDrawSource.value, {
+            rate: parseInt(this.controls.autoDrawRate.value),
+            coverage: parseInt(this.controls.autoDrawCoverage.value) / 100,
+            brush: { color, randomColors, favorColors },
+            onDone: () => {
+                this.updateAutoDrawButton();
+                this.startMorph();
+                this.autoDrawMorph = true;
+                this.scheduleAutosave();
+            }
         });
+        this.autoDrawMorph = false;
+        this.updateAutoDrawButton();
+        this.setMorphState('auto-drawing');
+    }
+
+    stopAutoDraw() {
+        this.autoDrawer.stop();
+        this.autoDrawMorph = false;
+        this.cancelAutoDrawLoop();
+        this.updateAutoDrawButton();
+    }
 
+    // Rate and coverage apply to an auto-draw in progress too
+    applyAutoDrawSettings() {
+        const rate = parseInt(this.controls.autoDrawRate.value);
+        const coverage = parseInt(this.controls.autoDrawCoverage.value);
+        this.controls.autoDrawRateValue.textContent = `${rate}/frame`;
+        this.controls.autoDrawCoverageValue.textContent = `${coverage}%`;
+        if (this.autoDrawer.active) {
+            this.autoDrawer.rate = rate;
+            this.autoDrawer.coverage = coverage / 100;
+        }
+    }
+
+    updateAutoDrawButton() {
+        this.controls.autoDrawBtn.textContent = this.autoDrawer.active ? '⏹ Stop' : '▶ Auto-Draw';
+    }
+
+    // Attract mode: after the hold, clears and auto-draws again, on the next target if there are several
+    scheduleAutoDrawLoop() {
+        this.cancelAutoDrawLoop();
+        const hold = parseFloat(this.controls.playlistHold.value) * 1000;
+        this.autoDrawTimeout = setTimeout(() => this.restartAutoDraw(), hold);
+    }
+
+    cancelAutoDrawLoop() {
+        if (this.autoDrawTimeout) {
+            clearTimeout(this.autoDrawTimeout);
+            this.autoDrawTimeout = null;
+        }
+    }
+
+    async restartAutoDraw() {
+        this.autoDrawTimeout = null;
+        if (this.isDrawing || !this.controls.autoDrawLoop.checked) return;
+        this.engine.clear();
+        this.strokeRecorder.clear();
+        this.updateStrokeCount();
+        if (this.playlist.length > 1 && !this.videoTarget.active) {
+            await this.showPlaylistEntry(this.playlist.next());
+            if (this.isDrawing) return;
+        }
+        this.startAutoDraw({ record: false });
+    }
+
+    clearCanvas() {
         // Clear any pending morph timeout
         if (this.morphTimeout) {
             clearTimeout(this.morphTimeout);
             this.morphTimeout = null;
         }
 
-        this.updateStats();
-        this.updateMorphStatus('Ready to draw');
+        this.cancelRecording();
+        this.cancelPlaylistAdvance();
+        this.strokePlayer.stop();
+        this.stopAutoDraw();
+        if (this.engine.particles.length > 0 || this.strokeRecorder.completed.length > 0) {
+            this.recordHistory();
+        }
+        this.engine.clear();
+        this.clearTimeline();
+        this.strokeRecorder.clear();
+        this.updateStrokeCount();
+        this.setPaused(false);
+        this.setMorphState('idle');
+        this.scheduleAutosave();
+    }
+
+    captureState() {
+        return {
+            particles: this.engine.snapshot(),
+            strokes: this.strokeRecorder.completed
+        };
+    }
+
+    // Saves the current particles and strokes as an undo step before they change
+    recordHistory() {
+        this.history.record(this.captureState());
+        this.updateHistoryButtons();
+    }
+
+    undo() {
+        if (this.isDrawing || !this.history.canUndo) return;
+        this.applyState(this.history.undo(this.captureState()));
+    }
+
+    redo() {
+        if (this.isDrawing || !this.history.canRedo) return;
+        this.applyState(this.history.redo(this.captureState()));
+    }
+
+    // Puts back particles (with their slots and pending replacements) and strokes from an undo step
+    applyState(state) {
+        if (this.morphTimeout) {
+            clearTimeout(this.morphTimeout);
+            this.morphTimeout = null;
+        }
+        this.strokePlayer.stop();
+        this.stopAutoDraw();
+        this.cancelPlaylistAdvance();
+        this.engine.restore(state.particles);
+        this.clearTimeline();
+        this.strokeRecorder.set(state.strokes.slice());
+        this.updateStrokeCount();
+        this.updateHistoryButtons();
+        if (this.engine.particles.length > 0) {
+            this.startMorph();
+        } else {
+            this.engine.pause();
+            this.setPaused(false);
+            this.setMorphState('idle');
+        }
+        this.scheduleAutosave();
+    }
+
+    updateHistoryButtons() {
+        this.controls.undoBtn.disabled = !this.history.canUndo;
+        this.controls.redoBtn.disabled = !this.history.canRedo;
+    }
+
+    // Shows a message in the status pill for a couple of seconds
+    flashStatus(message) {
+        this.showStatus(message);
+        setTimeout(() => this.refreshMorphStatus(), 2000);
+    }
+
+    // [name, element] for every control whose value is saved with a project
+    settingControls() {
+        return Object.entries(this.controls).filter(([name, control]) => {
+            if (UNSAVED_CONTROLS.has(name)) return false;
+            return control.tagName === 'SELECT' || (control.tagName === 'INPUT' && control.type !== 'file');
+        });
+    }
+
+    collectSettings() {
+        const settings = {};
+        this.settingControls().forEach(([name, control]) => {
+            settings[name] = control.type === 'checkbox' ? control.checked : control.value;
+        });
+        if (this.cropRegion) settings.targetCrop = { ...this.cropRegion };
+        const mask = this.importanceMask.toDataURL();
+        if (mask) settings.importanceMask = mask;
+        return settings;
     }
 
-    updateStats() {
-        this.controls.pixelCount.textContent = `Pixels: ${this.particles.length}`;
-        const morphedCount = this.particles.filter(p => p.morphed).length;
-        const percent = this.particles.length > 0 ? Math.round((morphedCount / this.particles.length) * 100) : 0;
+    // Sets saved control values and fires their events so labels and the engine follow
+    applySettings(settings) {
+        this.settingControls().forEach(([name, control]) => {
+            const value = settings[name];
+            if (control.type === 'checkbox') {
+                if (typeof value !== 'boolean') return;
+                control.checked = value;
+            } else {
+                if (typeof value !== 'string') return;
+                if (control.tagName === 'SELECT' && !Array.from(control.options).some(o => o.value === value)) return;
+                control.value = value;
+            }
+            const type = control.tagName === 'SELECT' || control.type === 'checkbox' ? 'change' : 'input';
+            control.dispatchEvent(new Event(type));
+        });
+    }
+
+    buildProject() {
+        return createProject({
+            engine: this.engine,
+            targets: this.playlist.entries.map(entry => entry.src),
+            targetIndex: Math.max(0, this.playlist.index),
+            settings: this.collectSettings(),
+            strokes: this.strokeRecorder.completed
+        });
+    }
+
+    saveProject() {
+        const blob = new Blob([JSON.stringify(this.buildProject())], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.download = `pixel-morph-project-${Date.now()}.json`;
+        link.href = URL.createObjectURL(blob);
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    }
+
+    async openProjectFile(file) {
+        try {
+            await this.openProject(parseProject(await file.text()));
+        } catch (error) {
+            console.error('Could not open project:', error);
+            this.flashStatus(error.message);
+        }
+    }
+
+    // Replaces the whole session with a validated project (see project.js)
+    async openProject(project) {
+        // Targets are rendered at the project's canvas size and fit before anything changes,
+        // so a project whose images can't be loaded leaves the session as it was
+        const { width, height } = project.canvas;
+        const { targetFit, targetCrop } = project.settings;
+        const fit = FIT_MODES.includes(targetFit) ? targetFit : 'contain';
+        const crop = validCrop(targetCrop);
+        const svgRender = SVG_RENDER_MODES.includes(project.settings.svgRender) ? project.settings.svgRender : 'fill';
+        const step = parseInt(project.settings.resolution) || parseInt(this.controls.resolution.value);
+
+        const targets = [];
+        for (const src of project.targets) {
+            const imageData = await this.loadImageData(src, { width, height, fit, crop, svgRender, step });
+            if (imageData) targets.push({ src, imageData });
+        }
+        if (project.targets.length > 0 && targets.length === 0) {
+            throw new Error('None of the project\'s target images could be loaded');
+        }
+
+        if (this.morphTimeout) {
+            clearTimeout(this.morphTimeout);
+            this.morphTimeout = null;
+        }
+        this.stopVideo();
+        this.stopAutoDraw();
+        this.cancelRecording();
+        this.cancelPlaylistAdvance();
+        this.engine.clear();
+        this.setCanvasSize({ width, height });
+        this.showCanvasSize();
+        this.setTargetFit(fit, crop); // Before applySettings, so the Image Fit control doesn't re-render the targets
+        this.svgRender = svgRender; // Likewise for Draw SVGs As
+        const mask = project.settings.importanceMask;
+        await this.importanceMask.load(typeof mask === 'string' && mask.startsWith('data:image/') ? mask : null);
+        this.setSeed(project.seed);
+        this.applySettings(project.settings);
+
+        if (targets.length > 0) {
+            this.playlist.clear();
+            targets.forEach(entry => this.playlist.add(entry));
+            this.playlist.select(Math.min(project.targetIndex, targets.length - 1));
+            this.renderPlaylist();
+            await this.resampleTarget();
+        }
+
+        this.engine.restore(decodeParticles(project.particles));
+        this.clearTimeline();
+        this.strokeRecorder.set(project.strokes);
+        this.updateStrokeCount();
+        this.history.clear(); // Undo doesn't reach back into the previous session
+        this.updateHistoryButtons();
+        if (this.engine.particles.length > 0) {
+            this.startMorph();
+        } else {
+            this.setPaused(false);
+            this.setMorphState('idle');
+        }
+    }
+
+    scheduleAutosave() {
+        if (!this.autosave || !this.autosaveReady) return;
+        if (this.autosaveTimeout) clearTimeout(this.autosaveTimeout);
+        this.autosaveTimeout = setTimeout(() => this.saveAutosave(), 1500);
+    }
+
+    async saveAutosave() {
+        if (!this.autosave || !this.autosaveReady) return;
+        if (this.autosaveTimeout) {
+            clearTimeout(this.autosaveTimeout);
+            this.autosaveTimeout = null;
+        }
+        try {
+            await this.autosave.save(this.buildProject());
+        } catch (error) {
+            console.warn('Autosave failed', error);
+        }
+    }
+
+    // Resolves true if the previous session was restored
+    async restoreAutosave() {
+        if (!this.autosave) return false;
+        try {
+            const saved = await this.autosave.load();
+            if (!saved) return false;
+            await this.openProject(parseProject(saved));
+            return true;
+        } catch (error) {
+            console.warn('Could not restore the previous session:', error);
+            this.flashStatus('Previous session could not be restored');
+            return false;
+        }
+    }
+
+    updateStats({ total, percent }) {
+        this.controls.pixelCount.textContent = `Pixels: ${total}`;
         this.controls.morphProgress.textContent = `Morphed: ${percent}%`;
 
         // Update progress bar
         this.controls.progressBar.style.width = percent + '%';
         this.controls.progressLabel.textContent = `${percent}% Complete`;
+    }
+
+    // Every morph - drawn, auto-drawn, reversed or moving to a new target - starts here
+    onMorphStart() {
+        this.timeline.start();
+        this.paused = false;
+        this.updatePlaybackButtons();
+        this.updateTimeline();
+        this.setMorphState(this.engine.reversed ? 'reversing' : 'morphing');
+    }
 
-        // Update morph status when complete
-        if (percent === 100 && this.particles.length > 0) {
-            this.updateMorphStatus('Complete!');
+    onMorphComplete() {
+        if (this.seeking) return;
+        this.timeline.stop();
+        this.scheduleAutosave();
+        if (this.recorder) {
+            this.finishRecording();
+        }
+        if (this.engine.reversed) {
+            this.setMorphState('rewound');
+            return;
+        }
+        this.setMorphState('complete');
+        if (this.autoDrawMorph && this.controls.autoDrawLoop.checked) {
+            this.scheduleAutoDrawLoop(); // Moves through the playlist itself
+        } else {
+            this.schedulePlaylistAdvance();
         }
     }
 
     animate() {
-        this.frameCount++;
-
-        // Check if motion trails are enabled
-        const trailsEnabled = this.controls.motionTrails.checked;
+        this.step();
+        requestAnimationFrame(() => this.animate());
+    }
 
-        if (trailsEnabled) {
-            // Semi-transparent fill for motion trails / glow effect
-            this.ctx.fillStyle = 'rgba(13, 13, 18, 0.15)';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        } else {
-            // Clear canvas completely for no trails
-            this.ctx.fillStyle = '#0d0d12';
-            this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
-        }
-
-        // Track particles to remove (old particles replaced by new ones)
-        const particlesToRemove = new Set();
-
-        if (this.isMorphing) {
-            this.particles.forEach(p => {
-                const wasMorphed = p.morphed;
-                p.update(this.frameCount, this.morphStartFrame);
-
-                // Check if a replacement particle just finished morphing
-                if (!wasMorphed && p.morphed && p.isReplacement && p.particleToReplace) {
-                    // The replacement has arrived! Remove the old particle
-                    particlesToRemove.add(p.particleToReplace);
-                    // Clear the reference
-                    p.particleToReplace = null;
-                    p.isReplacement = false;
-                }
-            });
+    // Advance the simulation by N frames without requestAnimationFrame (headless/testing)
+    stepFrames(count = 1) {
+        for (let i = 0; i < count; i++) {
+            this.step();
         }
+    }
 
-        // Remove replaced particles
-        if (particlesToRemove.size > 0) {
-            this.particles = this.particles.filter(p => !particlesToRemove.has(p));
+    // Shows which renderer 'Auto' (or a fallback) actually picked
+    updateRendererLabel() {
+        const label = this.engine.activeRenderer === 'webgl' ? 'Using WebGL' : 'Using Canvas 2D';
+        if (this.controls.rendererActive.textContent !== label) {
+            this.controls.rendererActive.textContent = label;
         }
+    }
 
-        this.particles.forEach(p => {
-            p.draw(this.ctx);
-        });
-
-        if (this.isMorphing && this.frameCount % 30 === 0) {
-            this.updateStats();
+    // One frame: physics update and render
+    step() {
+        this.videoTarget.tick();
+        this.strokePlayer.tick();
+        this.autoDrawer.tick();
+        if (this.audioInput.active) {
+            this.engine.setAudio(this.audioReactor.update(this.audioInput.levels()));
+        }
+        if (!this.paused) {
+            // Speeds below 1× skip some frames' steps; above 1×, take several per frame
+            this.speedCarry += parseFloat(this.controls.morphSpeed.value);
+            for (; this.speedCarry >= 1; this.speedCarry--) {
+                this.engine.step();
+                this.timeline.capture();
+            }
+            if (this.timeline.recording) this.updateTimeline();
         }
+        this.engine.render(this.ctx, { trails: this.controls.motionTrails.checked, pixelRatio: this.pixelRatio });
+        this.updateRendererLabel();
 
-        requestAnimationFrame(() => this.animate());
+        // Capture the frame exactly as drawn on screen; stop when the duration cap is hit
+        if (this.recorder && !this.recorder.captureFrame(performance.now())) {
+            this.finishRecording();
+        }
     }
 }
 
 // Start the app
-new MorphApp();
+window.morphApp = new MorphApp();
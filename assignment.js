@@ -0,0 +1,198 @@
+/**
+ * Pixel Morph - Assignment
+ * Pairs particles with target slots at the lowest total cost: squared travel distance
+ * plus a weighted, squared perceptual colour difference (CIELAB ΔE, as the brush uses).
+ * With distance alone the optimal pairing never has two paths crossing. Small problems
+ * are solved exactly (Hungarian algorithm); large ones greedily over each particle's
+ * nearest slots, then improved by swapping pairs.
+ */
+
+import { SlotGrid, SlotTree } from './spatialIndex.js';
+import { rgbToLab, colorDifference, DELTA_E_SCALE } from './color.js';
+
+// Up to this many particles the exact O(n³) solver is fast enough
+const EXACT_LIMIT = 300;
+// Cheapest nearby slots each particle considers in the greedy pass
+const CANDIDATES = 6;
+// Rounds of pairwise swaps after the greedy pass
+const SWAP_PASSES = 4;
+// Particles left without a candidate take a free slot at most this many times as far as
+// the nearest one, which keeps their search short when a dense cluster has used up its area
+const LEFTOVER_SLACK = 1.5;
+
+// Cost of sending `source` to `slot`; both have x, y, r, g, b
+export function assignmentCost(source, slot, colorWeight = 0) {
+    const distance = (source.x - slot.x) ** 2 + (source.y - slot.y) ** 2;
+    if (colorWeight === 0) return distance;
+    return distance + colorWeight * (colorDifference(source, slot) * DELTA_E_SCALE) ** 2;
+}
+
+// assignmentCost() for colours already converted to [L, a, b], as the solvers call it
+function labCost(source, sourceLab, slot, slotLab, colorWeight) {
+    const distance = (source.x - slot.x) ** 2 + (source.y - slot.y) ** 2;
+    const colorDistance = (sourceLab[0] - slotLab[0]) ** 2 + (sourceLab[1] - slotLab[1]) ** 2 + (sourceLab[2] - slotLab[2]) ** 2;
+    return distance + colorWeight * DELTA_E_SCALE * DELTA_E_SCALE * colorDistance;
+}
+
+/**
+ * Picks a distinct slot for every source (there must be at least as many slots) and
+ * returns the slot index for each source, as an Int32Array. `width` and `height` bound
+ * the positions, for the spatial index used on large problems.
+ */
+export function solveAssignment(sources, slots, { colorWeight = 0, width, height }) {
+    if (sources.length > slots.length) {
+        throw new Error(`Cannot assign ${sources.length} particles to ${slots.length} slots`);
+    }
+    let cost = (i, j) => assignmentCost(sources[i], slots[j], 0);
+    if (colorWeight > 0) {
+        // Each colour is converted to CIELAB once, not for every pairing weighed
+        const sourceLabs = sources.map(rgbToLab);
+        const slotLabs = slots.map(rgbToLab);
+        cost = (i, j) => labCost(sources[i], sourceLabs[i], slots[j], slotLabs[j], colorWeight);
+    }
+    if (sources.length <= EXACT_LIMIT && sources.length * slots.length <= EXACT_LIMIT * EXACT_LIMIT * 4) {
+        return hungarian(sources.length, slots.length, cost);
+    }
+    return greedyAssignment(sources, slots, cost, { width, height });
+}
+
+// Minimum-cost assignment of n rows to m >= n columns (Kuhn-Munkres with potentials)
+function hungarian(n, m, cost) {
+    const u = new Float64Array(n + 1);
+    const v = new Float64Array(m + 1);
+    const owner = new Int32Array(m + 1); // Row (1-based) matched to each column; 0 = none
+    const way = new Int32Array(m + 1);
+    const minTo = new Float64Array(m + 1);
+    const used = new Uint8Array(m + 1);
+
+    for (let i = 1; i <= n; i++) {
+        owner[0] = i;
+        let j0 = 0;
+        minTo.fill(Infinity);
+        used.fill(0);
+        do {
+            used[j0] = 1;
+            const i0 = owner[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= m; j++) {
+                if (used[j]) continue;
+                const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+                if (reduced < minTo[j]) {
+                    minTo[j] = reduced;
+                    way[j] = j0;
+                }
+                if (minTo[j] < delta) {
+                    delta = minTo[j];
+                    j1 = j;
+                }
+            }
+            for (let j = 0; j <= m; j++) {
+                if (used[j]) {
+                    u[owner[j]] += delta;
+                    v[j] -= delta;
+                } else {
+                    minTo[j] -= delta;
+                }
+            }
+            j0 = j1;
+        } while (owner[j0] !== 0);
+        // Flip the augmenting path
+        do {
+            const j1 = way[j0];
+            owner[j0] = owner[j1];
+            j0 = j1;
+        } while (j0 !== 0);
+    }
+
+    const result = new Int32Array(n);
+    for (let j = 1; j <= m; j++) {
+        if (owner[j] > 0) result[owner[j] - 1] = j - 1;
+    }
+    return result;
+}
+
+function greedyAssignment(sources, slots, cost, { width, height }) {
+    const n = sources.length;
+    const grid = new SlotGrid(slots, { width, height });
+
+    // Each source's cheapest nearby slots, as candidate pairings: source i's are edges
+    // i * CANDIDATES onwards, cheapest first, with -1 filling any unused places
+    const edgeSlot = new Int32Array(n * CANDIDATES).fill(-1);
+    const edgeCost = new Float64Array(n * CANDIDATES).fill(Infinity);
+    const near = [];
+    for (let i = 0; i < n; i++) {
+        const first = i * CANDIDATES;
+        const last = first + CANDIDATES - 1;
+        near.length = 0;
+        grid.near(sources[i].x, sources[i].y, CANDIDATES, near);
+        near.forEach(j => {
+            const c = cost(i, j);
+            if (c >= edgeCost[last]) return;
+            // Insertion into the short sorted list, dropping the worst
+            let k = last;
+            while (k > first && edgeCost[k - 1] > c) {
+                edgeSlot[k] = edgeSlot[k - 1];
+                edgeCost[k] = edgeCost[k - 1];
+                k--;
+            }
+            edgeSlot[k] = j;
+            edgeCost[k] = c;
+        });
+    }
+
+    // Cheapest pairings first
+    const order = [];
+    edgeSlot.forEach((j, e) => {
+        if (j >= 0) order.push(e);
+    });
+    order.sort((a, b) => edgeCost[a] - edgeCost[b]);
+
+    const slotOf = new Int32Array(n).fill(-1);
+    const ownerOf = new Int32Array(slots.length).fill(-1);
+    order.forEach(e => {
+        const i = Math.floor(e / CANDIDATES);
+        const j = edgeSlot[e];
+        if (slotOf[i] >= 0 || ownerOf[j] >= 0) return;
+        slotOf[i] = j;
+        ownerOf[j] = i;
+    });
+
+    // Sources whose candidates all went to others take a near slot still free, from a tree
+    // that skips the regions already taken (a grid search would rescan them every time)
+    const free = [];
+    ownerOf.forEach((owner, j) => {
+        if (owner < 0) free.push(j);
+    });
+    const freeTree = new SlotTree(free.map(j => slots[j]));
+    for (let i = 0; i < n; i++) {
+        if (slotOf[i] >= 0) continue;
+        const j = free[freeTree.takeNearest(sources[i].x, sources[i].y, LEFTOVER_SLACK)];
+        slotOf[i] = j;
+        ownerOf[j] = i;
+    }
+
+    // Swap pairs (over each source's candidates) whose exchange lowers the total, which
+    // also untangles most crossings
+    for (let pass = 0; pass < SWAP_PASSES; pass++) {
+        let swaps = 0;
+        for (let i = 0; i < n; i++) {
+            for (let e = i * CANDIDATES; e < (i + 1) * CANDIDATES && edgeSlot[e] >= 0; e++) {
+                const j = edgeSlot[e];
+                const a = slotOf[i];
+                const other = ownerOf[j];
+                if (j === a) continue;
+                const current = cost(i, a) + (other >= 0 ? cost(other, j) : 0);
+                const swapped = cost(i, j) + (other >= 0 ? cost(other, a) : 0);
+                if (swapped >= current) continue;
+                slotOf[i] = j;
+                ownerOf[j] = i;
+                ownerOf[a] = other;
+                if (other >= 0) slotOf[other] = a;
+                swaps++;
+            }
+        }
+        if (swaps === 0) break;
+    }
+    return slotOf;
+}
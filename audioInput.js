@@ -0,0 +1,105 @@
+/**
+ * Pixel Morph - Audio Input
+ * Plays an audio file or listens to the microphone through a Web Audio AnalyserNode,
+ * reporting per-band loudness each frame for audioReactive.js.
+ */
+
+import { bandLevels } from './audioReactive.js';
+
+const FFT_SIZE = 2048;
+
+export class AudioInput {
+    constructor() {
+        this.context = null;
+        this.analyser = null;
+        this.data = null;
+        this.source = null;
+        this.element = null; // <audio> playing a file
+        this.objectUrl = null;
+        this.stream = null; // Microphone stream
+        this.active = false;
+    }
+
+    static isSupported() {
+        return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+    }
+
+    static isMicrophoneSupported() {
+        return AudioInput.isSupported() && typeof navigator !== 'undefined' && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    // The context is created on first use, from a click, so browsers let it start
+    async ensureContext() {
+        if (!AudioInput.isSupported()) {
+            throw new Error('Web Audio is not supported in this browser');
+        }
+        if (!this.context) {
+            const Context = window.AudioContext || window.webkitAudioContext;
+            this.context = new Context();
+            this.analyser = this.context.createAnalyser();
+            this.analyser.fftSize = FFT_SIZE;
+            this.data = new Uint8Array(this.analyser.frequencyBinCount);
+        }
+        if (this.context.state === 'suspended') await this.context.resume();
+    }
+
+    // Plays the file (looping, so it's heard as well as analysed)
+    async useFile(file) {
+        await this.ensureContext();
+        this.stop();
+        this.objectUrl = URL.createObjectURL(file);
+        this.element = new Audio(this.objectUrl);
+        this.element.loop = true;
+        this.source = this.context.createMediaElementSource(this.element);
+        this.source.connect(this.analyser);
+        this.source.connect(this.context.destination);
+        await this.element.play();
+        this.active = true;
+    }
+
+    // Listens to the microphone; it isn't played back, which would feed back
+    async useMicrophone() {
+        if (!AudioInput.isMicrophoneSupported()) {
+            throw new Error('Microphone input is not supported in this browser');
+        }
+        await this.ensureContext();
+        this.stop();
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: false });
+        } catch (error) {
+            if (error.name === 'NotFoundError') throw new Error('No microphone found');
+            if (error.name === 'NotAllowedError') throw new Error('Microphone access was denied');
+            throw error;
+        }
+        this.source = this.context.createMediaStreamSource(this.stream);
+        this.source.connect(this.analyser);
+        this.active = true;
+    }
+
+    stop() {
+        this.active = false;
+        if (this.source) {
+            this.source.disconnect();
+            this.source = null;
+        }
+        if (this.element) {
+            this.element.pause();
+            this.element = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    // Loudness of each band right now (see bandLevels), or null when nothing is playing
+    levels() {
+        if (!this.active) return null;
+        this.analyser.getByteFrequencyData(this.data);
+        return bandLevels(this.data, this.context.sampleRate);
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Pixel Morph - Audio Reactivity
+ * Turns audio frequency data into the effects MorphEngine.setAudio() applies: each
+ * mapping has a frequency band drive one effect. UI-free, so it can be fed recorded or
+ * synthetic levels as well as a live AnalyserNode (see audioInput.js).
+ */
+
+export const AUDIO_BANDS = ['bass', 'mid', 'treble', 'level'];
+export const AUDIO_EFFECTS = ['scatter', 'jitter', 'size', 'brightness'];
+
+// Frequencies each band averages over, in Hz; 'level' is the whole audible range
+export const BAND_RANGES = {
+    bass: [20, 250],
+    mid: [250, 4000],
+    treble: [4000, 16000],
+    level: [20, 16000]
+};
+
+export const DEFAULT_AUDIO_MAPPINGS = [
+    { band: 'bass', effect: 'scatter', amount: 1 },
+    { band: 'treble', effect: 'jitter', amount: 0.5 },
+    { band: 'level', effect: 'size', amount: 0.5 }
+];
+
+// A kick is a band rising this far above its recent average (and past KICK_FLOOR)
+const KICK_RATIO = 1.3;
+const KICK_FLOOR = 0.15;
+// How much of each kick is left the next frame, so a scatter lasts a few frames
+const KICK_DECAY = 0.6;
+// Share of the new level mixed in each frame: fast for the smoothed level, slow for the
+// average kicks are measured against
+const LEVEL_SMOOTHING = 0.5;
+const AVERAGE_SMOOTHING = 0.05;
+
+/**
+ * Average loudness (0-1) of each band in `frequencyData`, the bytes an AnalyserNode's
+ * getByteFrequencyData() fills (bins spread evenly from 0 Hz to half `sampleRate`).
+ */
+export function bandLevels(frequencyData, sampleRate) {
+    const binWidth = sampleRate / 2 / frequencyData.length;
+    const levels = {};
+    AUDIO_BANDS.forEach(band => {
+        const [low, high] = BAND_RANGES[band];
+        const first = Math.max(0, Math.floor(low / binWidth));
+        const last = Math.min(frequencyData.length - 1, Math.ceil(high / binWidth));
+        let sum = 0;
+        for (let i = first; i <= last; i++) {
+            sum += frequencyData[i];
+        }
+        levels[band] = last >= first ? sum / (last - first + 1) / 255 : 0;
+    });
+    return levels;
+}
+
+function validateMapping({ band, effect, amount }) {
+    if (!AUDIO_BANDS.includes(band)) {
+        throw new Error(`Unknown audio band "${band}"`);
+    }
+    if (!AUDIO_EFFECTS.includes(effect)) {
+        throw new Error(`Unknown audio effect "${effect}"`);
+    }
+    if (typeof amount !== 'number' || !(amount >= 0)) {
+        throw new Error(`Audio mapping amount should be a number of 0 or more, not ${amount}`);
+    }
+}
+
+/**
+ * Follows the band levels frame by frame. 'scatter' responds to kicks - sudden rises
+ * in its band, like a bass drum - while the other effects follow their band's level.
+ * `mappings` are { band, effect, amount }; several mappings to one effect add up.
+ */
+export class AudioReactor {
+    constructor({ mappings = DEFAULT_AUDIO_MAPPINGS } = {}) {
+        this.setMappings(mappings);
+        this.reset();
+    }
+
+    setMappings(mappings) {
+        mappings.forEach(validateMapping);
+        this.mappings = mappings.map(mapping => ({ ...mapping }));
+    }
+
+    // Forgets the levels heard so far (e.g. when switching to another source)
+    reset() {
+        this.smoothed = {};
+        this.average = {};
+        this.kick = {};
+        AUDIO_BANDS.forEach(band => {
+            this.smoothed[band] = 0;
+            this.average[band] = 0;
+            this.kick[band] = 0;
+        });
+    }
+
+    // One frame: band levels (as from bandLevels) in, effect strengths for setAudio() out
+    update(levels) {
+        AUDIO_BANDS.forEach(band => {
+            const level = levels[band] || 0;
+            const average = this.average[band];
+            const rise = level > KICK_FLOOR && level > average * KICK_RATIO ? (level - average) / Math.max(0.01, 1 - average) : 0;
+            this.kick[band] = Math.max(this.kick[band] * KICK_DECAY, rise);
+            this.smoothed[band] += (level - this.smoothed[band]) * LEVEL_SMOOTHING;
+            this.average[band] += (level - average) * AVERAGE_SMOOTHING;
+        });
+
+        const effects = { scatter: 0, jitter: 0, size: 0, brightness: 0 };
+        this.mappings.forEach(({ band, effect, amount }) => {
+            const value = effect === 'scatter' ? this.kick[band] : this.smoothed[band];
+            effects[effect] += value * amount;
+        });
+        return effects;
+    }
+}
@@ -0,0 +1,214 @@
+/**
+ * Pixel Morph - Auto-Draw
+ * Generative spawn sources that draw without a hand on the canvas: random walkers, a
+ * spiral, a Lissajous curve, rain from the top edge and the target image's own edges.
+ * AutoDrawer feeds one into MorphEngine.spawn() until the target is filled enough.
+ */
+
+export const SPAWN_SOURCES = ['walkers', 'spiral', 'lissajous', 'rain', 'edges'];
+
+// Distance a walker, the spiral or a raindrop moves between dabs, in pixels
+const STRIDE = 6;
+const WALKER_COUNT = 6;
+const WALKER_TURN = 0.6; // Largest change of heading per dab, in radians
+const SPIRAL_TURNS = 12; // Turns from the centre to the corners before starting over
+const LISSAJOUS_SPEED = 0.02; // Curve parameter advanced per dab
+const LISSAJOUS_DRIFT = 0.0005; // Phase drift per dab, so the curve sweeps the canvas
+const RAIN_DROPS = 12;
+// A slot is on an edge when a grid neighbour is missing or differs by this much (R+G+B)
+const EDGE_CONTRAST = 96;
+
+// The rate is spread over dabs of this many particles
+const DAB_PARTICLES = 10;
+const DAB_RADIUS = 12;
+// Stop waiting for the coverage after this many frames without a newly filled slot
+const STALL_FRAMES = 90;
+
+// Wandering points that turn a little at each step and bounce off the canvas edges
+class WalkerSource {
+    constructor(engine) {
+        this.engine = engine;
+        this.walkers = Array.from({ length: WALKER_COUNT }, () => ({
+            x: engine.random() * engine.width,
+            y: engine.random() * engine.height,
+            heading: engine.random() * Math.PI * 2
+        }));
+        this.turn = 0;
+    }
+
+    next() {
+        // Read the engine's generator at each use, as setSeed() replaces it
+        const { width, height } = this.engine;
+        const walker = this.walkers[this.turn];
+        this.turn = (this.turn + 1) % this.walkers.length;
+        walker.heading += (this.engine.random() * 2 - 1) * WALKER_TURN;
+        walker.x += Math.cos(walker.heading) * STRIDE;
+        walker.y += Math.sin(walker.heading) * STRIDE;
+        if (walker.x < 0 || walker.x > width) {
+            walker.heading = Math.PI - walker.heading;
+            walker.x = Math.min(width, Math.max(0, walker.x));
+        }
+        if (walker.y < 0 || walker.y > height) {
+            walker.heading = -walker.heading;
+            walker.y = Math.min(height, Math.max(0, walker.y));
+        }
+        return { x: walker.x, y: walker.y };
+    }
+}
+
+// An Archimedean spiral out from the centre, evenly spaced along its length
+class SpiralSource {
+    constructor(engine) {
+        this.engine = engine;
+        this.angle = 0;
+    }
+
+    next() {
+        const { width, height } = this.engine;
+        const maxRadius = Math.hypot(width, height) / 2;
+        const radius = this.angle / (Math.PI * 2 * SPIRAL_TURNS) * maxRadius;
+        const point = { x: width / 2 + Math.cos(this.angle) * radius, y: height / 2 + Math.sin(this.angle) * radius };
+        this.angle += STRIDE / Math.max(radius, STRIDE);
+        if (radius > maxRadius) this.angle = 0;
+        return point;
+    }
+}
+
+// A 3:2 Lissajous figure filling the canvas, its phase drifting so it doesn't retrace itself
+class LissajousSource {
+    constructor(engine) {
+        this.engine = engine;
+        this.t = 0;
+        this.phase = Math.PI / 2;
+    }
+
+    next() {
+        const { width, height } = this.engine;
+        const point = {
+            x: width / 2 + width / 2 * Math.sin(3 * this.t + this.phase),
+            y: height / 2 + height / 2 * Math.sin(2 * this.t)
+        };
+        this.t += LISSAJOUS_SPEED;
+        this.phase += LISSAJOUS_DRIFT;
+        return point;
+    }
+}
+
+// Drops falling from the top edge, each starting again at a new spot when it reaches the bottom
+class RainSource {
+    constructor(engine) {
+        this.engine = engine;
+        this.drops = Array.from({ length: RAIN_DROPS }, () => this.newDrop(engine.random() * engine.height));
+        this.turn = 0;
+    }
+
+    newDrop(y = 0) {
+        return { x: this.engine.random() * this.engine.width, y, speed: STRIDE * (1 + this.engine.random()) };
+    }
+
+    next() {
+        let drop = this.drops[this.turn];
+        drop.y += drop.speed;
+        if (drop.y > this.engine.height) {
+            drop = this.drops[this.turn] = this.newDrop();
+        }
+        this.turn = (this.turn + 1) % this.drops.length;
+        return { x: drop.x, y: drop.y };
+    }
+}
+
+// Random points on the target's edges: the outline of its shape and any sharp colour changes
+class EdgeSource {
+    constructor(engine) {
+        this.engine = engine;
+        this.pool = null;
+        this.edges = [];
+    }
+
+    findEdges() {
+        const { targetPool: pool, targetStep: step } = this.engine;
+        const byPosition = new Map();
+        pool.forEach(slot => byPosition.set(`${slot.x},${slot.y}`, slot));
+        const differs = (slot, other) => !other ||
+            Math.abs(slot.r - other.r) + Math.abs(slot.g - other.g) + Math.abs(slot.b - other.b) > EDGE_CONTRAST;
+        const edges = pool.filter(slot =>
+            [[step, 0], [-step, 0], [0, step], [0, -step]].some(([dx, dy]) => differs(slot, byPosition.get(`${slot.x + dx},${slot.y + dy}`))));
+        this.pool = pool;
+        this.edges = edges.length > 0 ? edges : pool;
+    }
+
+    next() {
+        if (this.pool !== this.engine.targetPool) this.findEdges();
+        if (this.edges.length === 0) return { x: this.engine.width / 2, y: this.engine.height / 2 };
+        const slot = this.edges[Math.floor(this.engine.random() * this.edges.length)];
+        return { x: slot.x, y: slot.y };
+    }
+}
+
+const SOURCES = {
+    walkers: WalkerSource,
+    spiral: SpiralSource,
+    lissajous: LissajousSource,
+    rain: RainSource,
+    edges: EdgeSource
+};
+
+// A source by name, drawing its randomness from the engine's seeded generator
+export function createSource(name, engine) {
+    const Source = SOURCES[name];
+    if (!Source) {
+        throw new Error(`Unknown spawn source "${name}"`);
+    }
+    return new Source(engine);
+}
+
+/**
+ * Draws from a spawn source each frame until `coverage` (0-1) of the target slots are
+ * filled - or filling stalls - then calls `onDone`, typically to start the morph.
+ * `rate` is particles per frame; `brush` is spawn()'s color, randomColors and favorColors.
+ */
+export class AutoDrawer {
+    constructor(engine) {
+        this.engine = engine;
+        this.source = null;
+    }
+
+    get active() {
+        return this.source !== null;
+    }
+
+    start(sourceName, { rate = 40, coverage = 0.8, brush = {}, onDone = () => {} } = {}) {
+        this.source = createSource(sourceName, this.engine);
+        this.rate = rate;
+        this.coverage = coverage;
+        this.brush = brush;
+        this.onDone = onDone;
+        this.filled = this.engine.filledSlots();
+        this.stalled = 0;
+    }
+
+    tick() {
+        if (!this.source) return;
+        const pool = this.engine.targetPool;
+        if (pool.length === 0) return; // Nothing to fill until a target is sampled
+
+        for (let left = this.rate; left > 0; left -= DAB_PARTICLES) {
+            const { x, y } = this.source.next();
+            this.engine.spawn(x, y, { ...this.brush, count: Math.min(left, DAB_PARTICLES), radius: DAB_RADIUS });
+        }
+
+        const filled = this.engine.filledSlots();
+        this.stalled = filled > this.filled ? 0 : this.stalled + 1;
+        this.filled = filled;
+        if (filled >= pool.length * this.coverage || this.stalled >= STALL_FRAMES) {
+            const onDone = this.onDone;
+            this.stop();
+            onDone();
+        }
+    }
+
+    stop() {
+        this.source = null;
+        this.onDone = null;
+    }
+}
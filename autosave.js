@@ -0,0 +1,54 @@
+/**
+ * Pixel Morph - Autosave
+ * Keeps the latest project in IndexedDB so a reload picks up where the session left off.
+ */
+
+const DB_NAME = 'pixel-morph';
+const STORE_NAME = 'projects';
+const AUTOSAVE_KEY = 'autosave';
+
+function request(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+export class ProjectAutosave {
+    constructor() {
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    async open() {
+        if (this.db) return this.db;
+        const openRequest = indexedDB.open(DB_NAME, 1);
+        openRequest.onupgradeneeded = () => {
+            openRequest.result.createObjectStore(STORE_NAME);
+        };
+        this.db = await request(openRequest);
+        return this.db;
+    }
+
+    async transaction(mode, action) {
+        const db = await this.open();
+        const store = db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+        return request(action(store));
+    }
+
+    save(project) {
+        return this.transaction('readwrite', store => store.put(project, AUTOSAVE_KEY));
+    }
+
+    // Resolves to the saved project object, or undefined if there is none
+    load() {
+        return this.transaction('readonly', store => store.get(AUTOSAVE_KEY));
+    }
+
+    clear() {
+        return this.transaction('readwrite', store => store.delete(AUTOSAVE_KEY));
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Pixel Morph - Canvas Size
+ * Canvas size presets, the HiDPI backing-store cap, and the fit modes that place a target
+ * image (or video frame) on a canvas whose shape may not match it.
+ */
+
+// Fixed presets keep roughly the area of the original 600×450 canvas
+export const CANVAS_PRESETS = {
+    '4:3': { width: 600, height: 450 },
+    '1:1': { width: 520, height: 520 },
+    '16:9': { width: 720, height: 405 },
+    '9:16': { width: 405, height: 720 }
+};
+export const DEFAULT_CANVAS_PRESET = '4:3';
+
+export const MIN_CANVAS_SIZE = 100;
+export const MAX_CANVAS_SIZE = 2000;
+
+// HiDPI backing stores go up to this many device pixels per canvas pixel
+export const MAX_PIXEL_RATIO = 2;
+
+// Device pixels per canvas pixel for backing stores on this screen, capped at MAX_PIXEL_RATIO
+export function canvasPixelRatio() {
+    return Math.min(MAX_PIXEL_RATIO, window.devicePixelRatio || 1);
+}
+
+// 'image' sizes the canvas to the image's aspect ratio, with its longest side this long
+const MATCH_IMAGE_SIDE = 720;
+
+// contain: letterbox the whole image; cover: fill the canvas, cropping the overflow;
+// stretch: fill the canvas, distorting; crop: fill the canvas with a chosen region
+export const FIT_MODES = ['contain', 'cover', 'stretch', 'crop'];
+
+export function clampCanvasSize(value) {
+    return Math.min(MAX_CANVAS_SIZE, Math.max(MIN_CANVAS_SIZE, Math.round(value) || MIN_CANVAS_SIZE));
+}
+
+/**
+ * The canvas size for a preset: a name from CANVAS_PRESETS, 'image' (needs `image`,
+ * anything with width and height) or 'custom' (uses `width` and `height`).
+ */
+export function canvasSizeFor(preset, { image = null, width, height } = {}) {
+    if (preset in CANVAS_PRESETS) {
+        return { ...CANVAS_PRESETS[preset] };
+    }
+    if (preset === 'image') {
+        if (!image || !(image.width > 0) || !(image.height > 0)) {
+            return { ...CANVAS_PRESETS[DEFAULT_CANVAS_PRESET] };
+        }
+        const scale = MATCH_IMAGE_SIDE / Math.max(image.width, image.height);
+        return { width: clampCanvasSize(image.width * scale), height: clampCanvasSize(image.height * scale) };
+    }
+    if (preset === 'custom') {
+        return { width: clampCanvasSize(width), height: clampCanvasSize(height) };
+    }
+    throw new Error(`Unknown canvas size "${preset}"`);
+}
+
+/**
+ * Where to draw a `srcWidth` × `srcHeight` image onto a `width` × `height` canvas with a
+ * fit mode, as drawImage()'s source rect (sx, sy, sw, sh) and destination rect (dx, dy, dw, dh).
+ * `crop` is the region used by 'crop', as fractions of the image ({ x, y, width, height });
+ * without one, 'crop' behaves like 'cover'.
+ */
+export function fitImage(fit, srcWidth, srcHeight, width, height, crop = null) {
+    switch (fit) {
+        case 'stretch':
+            return { sx: 0, sy: 0, sw: srcWidth, sh: srcHeight, dx: 0, dy: 0, dw: width, dh: height };
+        case 'contain': {
+            const scale = Math.min(width / srcWidth, height / srcHeight);
+            const dw = srcWidth * scale;
+            const dh = srcHeight * scale;
+            return { sx: 0, sy: 0, sw: srcWidth, sh: srcHeight, dx: (width - dw) / 2, dy: (height - dh) / 2, dw, dh };
+        }
+        case 'cover': {
+            const scale = Math.max(width / srcWidth, height / srcHeight);
+            const sw = width / scale;
+            const sh = height / scale;
+            return { sx: (srcWidth - sw) / 2, sy: (srcHeight - sh) / 2, sw, sh, dx: 0, dy: 0, dw: width, dh: height };
+        }
+        case 'crop': {
+            if (!crop) return fitImage('cover', srcWidth, srcHeight, width, height);
+            // Cover the canvas with the region, centred on it
+            const region = fitImage('cover', crop.width * srcWidth, crop.height * srcHeight, width, height);
+            region.sx += crop.x * srcWidth;
+            region.sy += crop.y * srcHeight;
+            return region;
+        }
+        default:
+            throw new Error(`Unknown fit mode "${fit}"`);
+    }
+}
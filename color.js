@@ -0,0 +1,78 @@
+/**
+ * Pixel Morph - Colour
+ * sRGB to CIELAB conversion and perceptual colour difference (CIE76 ΔE), for matching
+ * colours the way they look rather than by raw channel values.
+ */
+
+// Where ΔE is weighed against pixel distance it's multiplied by this, to count about what the
+// RGB distance it replaced did (so existing weights keep their feel)
+export const DELTA_E_SCALE = 3;
+
+// D65 reference white
+const WHITE_X = 0.95047;
+const WHITE_Y = 1.0;
+const WHITE_Z = 1.08883;
+
+// Conversions are memoised per colour; images rarely use more than this many distinct ones
+const CACHE_LIMIT = 65536;
+const labCache = new Map();
+
+function linear(channel) {
+    const c = channel / 255;
+    return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+}
+
+function gamma(value) {
+    const c = value <= 0.0031308 ? value * 12.92 : 1.055 * value ** (1 / 2.4) - 0.055;
+    return Math.min(255, Math.max(0, Math.round(c * 255)));
+}
+
+function labCurve(t) {
+    return t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+}
+
+function labCurveInverse(f) {
+    return f ** 3 > 216 / 24389 ? f ** 3 : (116 * f - 16) / (24389 / 27);
+}
+
+// [L, a, b] for an { r, g, b } colour (0-255 channels)
+export function rgbToLab({ r, g, b }) {
+    const key = (r << 16) | (g << 8) | b;
+    const cached = labCache.get(key);
+    if (cached) return cached;
+
+    const lr = linear(r);
+    const lg = linear(g);
+    const lb = linear(b);
+    const fx = labCurve((lr * 0.4124 + lg * 0.3576 + lb * 0.1805) / WHITE_X);
+    const fy = labCurve((lr * 0.2126 + lg * 0.7152 + lb * 0.0722) / WHITE_Y);
+    const fz = labCurve((lr * 0.0193 + lg * 0.1192 + lb * 0.9505) / WHITE_Z);
+    const lab = [116 * fy - 16, 500 * (fx - fy), 200 * (fy - fz)];
+
+    if (labCache.size >= CACHE_LIMIT) labCache.clear();
+    labCache.set(key, lab);
+    return lab;
+}
+
+// The nearest { r, g, b } colour to an [L, a, b] one
+export function labToRgb([l, a, b]) {
+    const fy = (l + 16) / 116;
+    const x = labCurveInverse(fy + a / 500) * WHITE_X;
+    const y = labCurveInverse(fy) * WHITE_Y;
+    const z = labCurveInverse(fy - b / 200) * WHITE_Z;
+    return {
+        r: gamma(x * 3.2406 - y * 1.5372 - z * 0.4986),
+        g: gamma(-x * 0.9689 + y * 1.8758 + z * 0.0415),
+        b: gamma(x * 0.0557 - y * 0.2040 + z * 1.0570)
+    };
+}
+
+// CIE76 difference between two [L, a, b] colours: about 2.3 is just noticeable, 100 is black to white
+export function deltaE(lab1, lab2) {
+    return Math.sqrt((lab1[0] - lab2[0]) ** 2 + (lab1[1] - lab2[1]) ** 2 + (lab1[2] - lab2[2]) ** 2);
+}
+
+// Perceptual difference between two { r, g, b } colours
+export function colorDifference(c1, c2) {
+    return deltaE(rgbToLab(c1), rgbToLab(c2));
+}
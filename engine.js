@@ -0,0 +1,1019 @@
+/**
+ * Pixel Morph - Engine
+ * UI-free particle simulation: target slots, spawning, physics and rendering.
+ * Works with any canvas (or headlessly under Node) and reports progress through events.
+ */
+
+import { Particle, ReplacementParticle, parseColor } from './particle.js';
+import { createRandom } from './random.js';
+import { sampleTargetPool } from './sampling.js';
+import { ForceField } from './forces.js';
+import { createMotion, STAGGER_PATTERNS, staggerOrder } from './motion.js';
+import { RenderStyle } from './renderStyle.js';
+import { ParticleStore, FLOAT_FIELDS } from './particleStore.js';
+import { WebGLRenderer } from './webglRenderer.js';
+import { SlotGrid } from './spatialIndex.js';
+import { solveAssignment } from './assignment.js';
+import { colorDifference, DELTA_E_SCALE } from './color.js';
+
+export const RENDERERS = ['auto', 'webgl', 'canvas'];
+
+// In 'auto' mode WebGL takes over above this many particles; below it Canvas 2D keeps up
+const AUTO_WEBGL_THRESHOLD = 2000;
+
+// 'nearby': each new particle takes a good slot under the brush as it's drawn;
+// 'optimal': unsettled particles are also re-paired with their slots when morphing starts
+export const ASSIGNMENT_MODES = ['nearby', 'optimal'];
+
+// Slots weighed for each spawned particle: this many closest ones, plus a few from anywhere
+// so a brush over a full region can still find free slots further away
+const SPAWN_NEARBY_CANDIDATES = 32;
+const SPAWN_RANDOM_CANDIDATES = 8;
+
+// Slots looked at around each one a fill spreads from
+const FILL_NEIGHBOUR_CANDIDATES = 12;
+
+// How particles go from the colour they were drawn with to their slot's: 'off' keeps the
+// drawn colour; 'linear' blends over a fixed time once the particle sets off, 'distance'
+// as it closes in on the slot, and 'arrival' only once it has settled
+export const COLOR_TRANSITIONS = ['off', 'linear', 'distance', 'arrival'];
+const LINEAR_TRANSITION_FRAMES = 90;
+const ARRIVAL_TRANSITION_FRAMES = 20;
+
+// Audio effects at full strength (see setAudio): the scatter and jitter accelerations in
+// px/frame², and how much larger particles grow
+const AUDIO_SCATTER_STRENGTH = 6;
+const AUDIO_JITTER_STRENGTH = 1.5;
+const AUDIO_SIZE_BOOST = 1.5;
+
+export function colorDistance(c1, c2) {
+    return Math.sqrt((c1.r - c2.r) ** 2 + (c1.g - c2.g) ** 2 + (c1.b - c2.b) ** 2);
+}
+
+// Minimal event emitter so the engine has no DOM dependency
+export class Emitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    on(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(listener);
+        return this;
+    }
+
+    off(type, listener) {
+        const set = this.listeners.get(type);
+        if (set) set.delete(listener);
+        return this;
+    }
+
+    emit(type, detail) {
+        const set = this.listeners.get(type);
+        if (set) set.forEach(listener => listener(detail));
+    }
+}
+
+/**
+ * Events:
+ *  - 'morphstart' when morphing begins or resumes
+ *  - 'progress'   { total, morphed, percent } after spawning and periodically while morphing
+ *  - 'complete'   { total } once every particle has settled
+ */
+export class MorphEngine extends Emitter {
+    constructor({ width = 600, height = 450, seed = Math.floor(Math.random() * 4294967296), background = '#0d0d12' } = {}) {
+        super();
+        this.width = width;
+        this.height = height;
+        this.background = background;
+        this.store = new ParticleStore();
+        this.targetPool = [];
+        this.isMorphing = false;
+        this.morphStartFrame = 0;
+        this.frameCount = 0;
+        this.completed = false;
+        this.reversed = false; // Set while particles head back to their spawn points
+        this.liveColors = false; // When set, particles continuously take on their slot's colour
+        this.colorTransition = 'off';
+        this.colorBlend = 1;
+        this.targetStep = 2; // Sampling step of the current target pool
+        this.renderStyle = new RenderStyle();
+        this.renderer = 'auto';
+        this.glRenderer = null;
+        this.activeRenderer = 'canvas'; // What the last render() actually used
+        this.forces = new Map();
+        this.stagger = 'random';
+        this.staggerSpread = 150; // Frames between the first and last particle setting off
+        this.assignment = 'nearby';
+        this.assignmentColorWeight = 0;
+        this.slotGrid = null; // Spatial index over targetPool, built on first use
+        this.slotCellMap = null; // targetPool by position, built on first use (see slotCells)
+        // Forces driven by setAudio(), composed after the user's own
+        this.audioForces = [
+            new ForceField({ name: 'audio-scatter', type: 'repel', falloff: 'none', strength: 0, enabled: false }),
+            new ForceField({ name: 'audio-jitter', type: 'jitter', strength: 0, enabled: false, disturbsSettled: true, random: () => this.random() })
+        ];
+        this.setAudio(null);
+        this.setMotion('spring');
+        this.setSeed(seed);
+    }
+
+    // Live list of particles (views onto the store), in update order
+    get particles() {
+        return this.store.handles;
+    }
+
+    // Every random choice in the simulation draws from this generator
+    setSeed(seed) {
+        this.seed = seed;
+        this.random = createRandom(seed);
+    }
+
+    setTarget(imageData, options = {}) {
+        this.targetStep = options.step ?? 2;
+        this.targetPool = sampleTargetPool(imageData, options);
+        return this.targetPool;
+    }
+
+    /**
+     * Moves the current particles onto a new target pool (e.g. the next playlist image,
+     * sampled with sampleTargetPool) and starts morphing. When the new image has a
+     * different number of slots:
+     *  - 'match' keeps the same coverage as before, spawning or fading particles as needed
+     *  - 'share' keeps every particle, letting several share a slot if there are too few
+     */
+    retarget(pool, { step = 2, policy = 'match' } = {}) {
+        const previousSize = this.targetPool.length;
+        const particles = this.particles.filter(p => !p.fading);
+        this.targetPool = pool;
+        this.targetStep = step;
+        this.reversed = false;
+        if (pool.length === 0 || particles.length === 0) return;
+
+        let wanted = particles.length;
+        if (policy === 'match' && previousSize > 0) {
+            wanted = Math.max(1, Math.min(pool.length, Math.round(particles.length / previousSize * pool.length)));
+        }
+
+        // Spawn clones of existing particles to make up any shortfall
+        while (particles.length < wanted) {
+            const source = particles[Math.floor(this.random() * particles.length)];
+            const clone = new Particle(source.x, source.y, source.x, source.y, source.color, 0, this.random, this.store);
+            clone.drawnColor = source.drawnColor;
+            clone.drawnRgb = source.drawnRgb;
+            clone.originX = source.originX;
+            clone.originY = source.originY;
+            particles.push(clone);
+        }
+
+        this.shuffle(particles);
+        const active = particles.slice(0, wanted);
+        particles.slice(wanted).forEach(p => {
+            p.fading = true;
+        });
+
+        // Spread the particles over the image, then pair them up in reading order (rows one
+        // particle-spacing tall) so neighbours stay together instead of criss-crossing the canvas
+        const slots = this.shuffle(pool.slice()).slice(0, Math.min(wanted, pool.length));
+        const band = Math.max(step, Math.sqrt(this.width * this.height / wanted));
+        const readingOrder = (a, b) => (Math.floor(a.y / band) - Math.floor(b.y / band)) || (a.x - b.x);
+        slots.sort(readingOrder);
+        active.sort(readingOrder);
+
+        active.forEach((p, i) => {
+            const slot = slots[Math.floor(i * slots.length / active.length)];
+            p.updateTarget(p.x, p.y, p.color, this.random() * 150, slot.x, slot.y);
+            p.isReplacement = false;
+            p.particleToReplace = null;
+            p.slot = slot;
+            if (!slot.occupiedBy) slot.occupiedBy = p;
+        });
+
+        this.completed = false;
+        this.startMorph();
+    }
+
+    /**
+     * Swaps in a freshly sampled pool (a video frame, or the same image at another
+     * resolution) without rebuilding particles. Each particle keeps its grid cell if the
+     * cell is still in the pool, otherwise it moves to the nearest free cell; it then eases
+     * toward the slot's position (and, with liveColors, its colour) from where it is.
+     */
+    updateTargetPool(pool, { step = 2 } = {}) {
+        const key = (x, y) => y * this.width + x;
+        const cells = new Map();
+        pool.forEach(slot => cells.set(key(slot.x, slot.y), slot));
+
+        const moved = new Map(); // old slot -> new slot
+        const orphans = [];
+        const occupants = this.particles.filter(p => !p.fading && p.slot && p.slot.occupiedBy === p);
+
+        occupants.forEach(p => {
+            const cell = cells.get(key(p.slot.x, p.slot.y));
+            if (cell && !cell.occupiedBy) {
+                moved.set(p.slot, cell);
+                this.assignSlot(p, cell);
+            } else {
+                orphans.push(p);
+            }
+        });
+
+        orphans.forEach(p => {
+            const cell = this.findFreeCell(cells, pool, p.slot.x, p.slot.y, step);
+            if (cell) {
+                moved.set(p.slot, cell);
+                this.assignSlot(p, cell);
+            } else {
+                p.fading = true; // No room left in the new frame
+            }
+        });
+
+        // Particles waiting to be replaced follow their replacement's new slot
+        this.particles.forEach(p => {
+            if (!p.fading && p.slot && moved.has(p.slot) && p.slot.occupiedBy !== p) {
+                const cell = moved.get(p.slot);
+                p.slot = cell;
+                p.targetX = cell.x;
+                p.targetY = cell.y;
+            }
+        });
+
+        this.targetPool = pool;
+        this.targetStep = step;
+        this.reversed = false;
+    }
+
+    assignSlot(particle, slot) {
+        if (particle.targetX !== slot.x || particle.targetY !== slot.y) {
+            particle.targetX = slot.x;
+            particle.targetY = slot.y;
+            particle.morphed = false;
+            particle.leg = null;
+        }
+        particle.slot = slot;
+        slot.occupiedBy = particle;
+    }
+
+    // Spatial index over the current target pool, rebuilt whenever the pool changes
+    get slotIndex() {
+        if (!this.slotGrid || this.slotGrid.slots !== this.targetPool) {
+            this.slotGrid = new SlotGrid(this.targetPool, { width: this.width, height: this.height });
+        }
+        return this.slotGrid;
+    }
+
+    // The current target pool by position (y * width + x), rebuilt whenever the pool changes
+    get slotCells() {
+        if (!this.slotCellMap || this.slotCellPool !== this.targetPool) {
+            this.slotCellMap = new Map(this.targetPool.map(slot => [slot.y * this.width + slot.x, slot]));
+            this.slotCellPool = this.targetPool;
+        }
+        return this.slotCellMap;
+    }
+
+    // Nearest grid cell within a few rings of (x, y) that passes `accept`, or null
+    findCell(cells, x, y, step, accept = () => true) {
+        const cx = 1 + Math.round((x - 1) / step) * step;
+        const cy = 1 + Math.round((y - 1) / step) * step;
+        for (let ring = 0; ring <= 8; ring++) {
+            for (let dy = -ring; dy <= ring; dy++) {
+                for (let dx = -ring; dx <= ring; dx++) {
+                    if (Math.abs(dx) !== ring && Math.abs(dy) !== ring) continue;
+                    const cell = cells.get((cy + dy * step) * this.width + cx + dx * step);
+                    if (cell && accept(cell)) return cell;
+                }
+            }
+        }
+        return null;
+    }
+
+    // Nearest unoccupied grid cell within a few rings of (x, y), falling back to random probes
+    findFreeCell(cells, pool, x, y, step) {
+        const near = this.findCell(cells, x, y, step, cell => !cell.occupiedBy);
+        if (near) return near;
+        for (let i = 0; i < 40 && pool.length > 0; i++) {
+            const cell = pool[Math.floor(this.random() * pool.length)];
+            if (!cell.occupiedBy) return cell;
+        }
+        return null;
+    }
+
+    /**
+     * Chooses how particles travel to their targets: a model name from motion.js
+     * ('spring', 'damped', 'tween', 'path', 'explode') with its options, or a model
+     * object. Particles still on their way restart their trip with the new model.
+     */
+    setMotion(model, options = {}) {
+        if (typeof model === 'string') {
+            this.motionName = model;
+            this.motionOptions = options;
+            this.motion = createMotion(model, { centerX: this.width / 2, centerY: this.height / 2, ...options });
+        } else {
+            this.motionName = null;
+            this.motion = model;
+        }
+        this.particles.forEach(p => {
+            p.leg = null;
+        });
+        return this.motion;
+    }
+
+    /**
+     * Chooses how particles are paired with target slots (see ASSIGNMENT_MODES).
+     * `colorWeight` is how much 'optimal' counts colour against distance, by the same
+     * perceptual difference (CIELAB ΔE) the brush uses: at 1, a ΔE of 33 (about an RGB
+     * difference of 100) costs as much as 100 px of travel.
+     */
+    setAssignment(mode, { colorWeight = this.assignmentColorWeight } = {}) {
+        if (!ASSIGNMENT_MODES.includes(mode)) {
+            throw new Error(`Unknown assignment mode "${mode}"`);
+        }
+        this.assignment = mode;
+        this.assignmentColorWeight = colorWeight;
+    }
+
+    /**
+     * Re-pairs every particle still heading for its own slot with those same slots, at the
+     * lowest total travel (plus colour) cost, so paths don't cross. Particles that have
+     * settled, are fading, or are taking part in a replacement keep their slots.
+     */
+    optimizeAssignment() {
+        const movers = this.particles.filter(p => !p.morphed && !p.fading && !p.isReplacement && p.slot && p.slot.occupiedBy === p && !p.slot.pendingReplacement);
+        if (movers.length < 2) return;
+        const slots = movers.map(p => p.slot);
+        const sources = movers.map(p => ({ x: p.x, y: p.y, r: p.rgb.r, g: p.rgb.g, b: p.rgb.b }));
+        const result = solveAssignment(sources, slots, { colorWeight: this.assignmentColorWeight, width: this.width, height: this.height });
+        movers.forEach((p, i) => this.assignSlot(p, slots[result[i]]));
+    }
+
+    /**
+     * Chooses how particles take on their slot's colour as they travel (see
+     * COLOR_TRANSITIONS). `blend` is where they end up: 0 keeps the drawing colours, 1 the
+     * image's own. Turning transitions off puts back the colours particles were drawn with.
+     * Live colours (video and palette targets) take precedence while they're on.
+     */
+    setColorTransition(mode, { blend = this.colorBlend } = {}) {
+        if (!COLOR_TRANSITIONS.includes(mode)) {
+            throw new Error(`Unknown colour transition "${mode}"`);
+        }
+        if (mode === 'off' && this.colorTransition !== 'off') {
+            this.particles.forEach(p => {
+                p.transition = null;
+                p.color = p.drawnColor;
+                p.rgb = p.drawnRgb;
+            });
+        }
+        this.colorTransition = mode;
+        this.colorBlend = blend;
+    }
+
+    // Moves every particle's colour along its transition toward its slot's, one frame on
+    transitionColors() {
+        const blend = this.colorBlend;
+        this.particles.forEach(p => {
+            const slot = p.slot;
+            if (!slot || p.fading) return;
+            let t = p.transition;
+            if (!t || t.slot !== slot) {
+                // A new slot: blend on from the colour the particle has now
+                t = p.transition = { slot, from: p.rgb, progress: 0, distance: Math.hypot(slot.x - p.x, slot.y - p.y), blend };
+            } else if (t.progress >= 1 && t.blend === blend) {
+                return;
+            }
+
+            const setOff = p.morphed || (this.isMorphing && this.frameCount >= this.morphStartFrame + p.delay);
+            if (this.colorTransition === 'linear') {
+                if (setOff) t.progress += 1 / LINEAR_TRANSITION_FRAMES;
+            } else if (this.colorTransition === 'distance') {
+                if (p.morphed || t.distance < 1) {
+                    t.progress = 1;
+                } else if (setOff) {
+                    t.progress = Math.max(t.progress, 1 - Math.hypot(slot.x - p.x, slot.y - p.y) / t.distance);
+                }
+            } else if (p.morphed) {
+                t.progress += 1 / ARRIVAL_TRANSITION_FRAMES;
+            }
+            t.progress = Math.min(1, t.progress);
+            t.blend = blend;
+
+            const drawn = p.drawnRgb;
+            p.mixColor(t.from, {
+                r: drawn.r + (slot.r - drawn.r) * blend,
+                g: drawn.g + (slot.g - drawn.g) * blend,
+                b: drawn.b + (slot.b - drawn.b) * blend,
+                a: drawn.a + (1 - drawn.a) * blend
+            }, t.progress);
+        });
+    }
+
+    // Orders particle start times: 'random', 'sweep' (left to right), 'radial' (from the
+    // centre out) or 'brightness' (brightest first). Applied whenever morphing starts.
+    setStagger(pattern, { spread = this.staggerSpread } = {}) {
+        if (!STAGGER_PATTERNS.includes(pattern)) {
+            throw new Error(`Unknown stagger pattern "${pattern}"`);
+        }
+        this.stagger = pattern;
+        this.staggerSpread = spread;
+    }
+
+    // Re-times the particles still travelling; 'random' keeps each particle's own delay
+    applyStagger() {
+        if (this.stagger === 'random') return;
+        this.particles.forEach(p => {
+            if (p.morphed || p.fading) return;
+            const order = staggerOrder(this.stagger, p, this.width, this.height);
+            // A little jitter so the front doesn't look ruled
+            p.delay = (order * 0.95 + this.random() * 0.05) * this.staggerSpread;
+        });
+    }
+
+    // Sets how particles are drawn. Accepts a RenderStyle or its options (see renderStyle.js).
+    setRenderStyle(style) {
+        this.renderStyle = style instanceof RenderStyle ? style : new RenderStyle(style);
+        return this.renderStyle;
+    }
+
+    // Adds (or replaces, by name) a force field. Accepts a ForceField or its options.
+    addForce(force) {
+        const field = force instanceof ForceField ? force : new ForceField(force);
+        this.forces.set(field.name, field);
+        return field;
+    }
+
+    removeForce(name) {
+        this.forces.delete(name);
+    }
+
+    getForce(name) {
+        return this.forces.get(name) || null;
+    }
+
+    /**
+     * Applies one frame of audio effects, each from 0 (none) to 1 (full strength), as an
+     * AudioReactor produces them (see audioReactive.js): 'scatter' pushes particles out
+     * from the centre, knocking settled ones loose; 'jitter' shakes them; 'size' grows
+     * them and 'brightness' adds the frame onto itself. Null turns them all off.
+     */
+    setAudio(effects) {
+        this.audio = { scatter: 0, jitter: 0, size: 0, brightness: 0, ...effects };
+        const [scatter, jitter] = this.audioForces;
+        scatter.x = this.width / 2;
+        scatter.y = this.height / 2;
+        scatter.strength = this.audio.scatter * AUDIO_SCATTER_STRENGTH;
+        jitter.strength = this.audio.jitter * AUDIO_JITTER_STRENGTH;
+        this.audioForces.forEach(force => {
+            force.enabled = force.strength > 0.01;
+        });
+    }
+
+    // In-place Fisher-Yates using the seeded generator
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+
+    getRandomColor() {
+        const r = Math.floor(this.random() * 256);
+        const g = Math.floor(this.random() * 256);
+        const b = Math.floor(this.random() * 256);
+        const a = this.random().toFixed(2);
+        return `rgba(${r},${g},${b},${a})`;
+    }
+
+    // Spawns one brush dab at canvas coordinates
+    spawn(x, y, { color = '#ffffff', count = 20, radius = 30, randomColors = false, favorColors = false } = {}) {
+        for (let i = 0; i < count; i++) {
+            const angle = this.random() * Math.PI * 2;
+            const dist = Math.sqrt(this.random()) * radius; // Uniform distribution
+            const px = x + Math.cos(angle) * dist;
+            const py = y + Math.sin(angle) * dist;
+
+            if (this.targetPool.length > 0) {
+                let pixelColor = color;
+                if (randomColors) {
+                    pixelColor = this.getRandomColor();
+                }
+                const pixelRgb = parseColor(pixelColor);
+
+                // Spatial Sampling: Try to find an UNASSIGNED target near the cursor first
+                let bestTarget = null;
+                let minPenalty = Infinity;
+
+                // Weigh the slots closest to the particle, plus a few random ones
+                const candidates = this.slotIndex.near(px, py, SPAWN_NEARBY_CANDIDATES);
+                for (let j = 0; j < SPAWN_RANDOM_CANDIDATES; j++) {
+                    candidates.push(Math.floor(this.random() * this.targetPool.length));
+                }
+                for (const idx of candidates) {
+                    const t = this.targetPool[idx];
+
+                    const d = Math.sqrt((t.x - px) ** 2 + (t.y - py) ** 2);
+                    const colorD = colorDifference(pixelRgb, t) * DELTA_E_SCALE;
+
+                    // Penalty logic:
+                    // 1. Favor distance heavily (stay under brush)
+                    // 2. Favor unoccupied targets (high penalty if occupied)
+                    // 3. Favor high-priority scores
+                    const occupationPenalty = t.occupiedBy ? 1000 : 0;
+                    const priorityBonus = (100 / (1 + t.score));
+                    const penalty = d + (colorD * pixelRgb.a) + occupationPenalty + priorityBonus;
+
+                    if (penalty < minPenalty) {
+                        minPenalty = penalty;
+                        bestTarget = t;
+                    }
+                }
+
+                const delay = this.random() * 150;
+
+                // Safety check: ensure we found a valid target
+                if (!bestTarget) continue;
+
+                if (bestTarget.occupiedBy) {
+                    // Only consider replacement if the existing particle has FINISHED morphing
+                    // This prevents removing still-moving particles
+                    if (!bestTarget.occupiedBy.morphed) {
+                        // Target is occupied by a still-morphing particle, skip it
+                        continue;
+                    }
+
+                    // Convergence Logic: Only replace if the new color is a significantly better match
+                    let currentColor = pixelColor;
+
+                    // "Favor Original Colors" logic: Sprinkle in original colors (50% chance)
+                    if (favorColors && this.random() < 0.5) {
+                        currentColor = `rgb(${bestTarget.r},${bestTarget.g},${bestTarget.b})`;
+                    }
+
+                    const currentMatch = colorDifference(bestTarget.occupiedBy.rgb, bestTarget);
+                    const newMatch = colorDifference(parseColor(currentColor), bestTarget);
+
+                    if (newMatch < currentMatch * 0.9) {
+                        // Create a REPLACEMENT particle that will remove the old one when it finishes
+                        const oldParticle = bestTarget.occupiedBy;
+                        const replacementParticle = new ReplacementParticle(
+                            px, py,
+                            bestTarget.x, bestTarget.y,
+                            currentColor,
+                            delay,
+                            bestTarget,
+                            oldParticle,
+                            this.random,
+                            this.store
+                        );
+                        // Mark the target as now being claimed by the replacement
+                        replacementParticle.slot = bestTarget;
+                        bestTarget.occupiedBy = replacementParticle;
+                        bestTarget.pendingReplacement = oldParticle; // Track the old particle for removal
+                    }
+                } else {
+                    let currentColor = pixelColor;
+                    if (favorColors && this.random() < 0.5) {
+                        currentColor = `rgb(${bestTarget.r},${bestTarget.g},${bestTarget.b})`;
+                    }
+
+                    const particle = new Particle(px, py, bestTarget.x, bestTarget.y, currentColor, delay, this.random, this.store);
+                    particle.slot = bestTarget;
+                    bestTarget.occupiedBy = particle;
+                }
+            }
+        }
+
+        this.completed = false;
+        this.updateStats();
+    }
+
+    // Removes every particle within `radius` of (x, y) and frees the target slots they held.
+    // Returns how many were removed.
+    erase(x, y, radius) {
+        const r2 = radius * radius;
+        const erased = new Set(this.particles.filter(p => (p.x - x) ** 2 + (p.y - y) ** 2 <= r2));
+        if (erased.size === 0) return 0;
+
+        this.particles.forEach(p => {
+            if (erased.has(p)) {
+                if (p.slot && p.slot.occupiedBy === p) {
+                    // An erased replacement hands the slot back to the particle it was replacing
+                    const previous = p.isReplacement && p.particleToReplace && !erased.has(p.particleToReplace) ? p.particleToReplace : null;
+                    p.slot.occupiedBy = previous;
+                    p.slot.pendingReplacement = null;
+                }
+            } else if (p.isReplacement && erased.has(p.particleToReplace)) {
+                // Its old particle is already gone, so it just becomes the slot's occupant
+                p.particleToReplace = null;
+                p.isReplacement = false;
+                if (p.slot) p.slot.pendingReplacement = null;
+            }
+        });
+
+        this.store.removeWhere(p => erased.has(p));
+        this.updateStats();
+        return erased.size;
+    }
+
+    /**
+     * Flood-fills the region of the target image around (x, y): starting from the nearest
+     * slot, neighbouring slots whose colour is within `tolerance` (RGB distance) of it are
+     * visited, and each free one gets a particle spawned close by. Stops after `limit`
+     * particles; returns how many were spawned.
+     */
+    fill(x, y, { color = '#ffffff', randomColors = false, favorColors = false, tolerance = 40, limit = 5000 } = {}) {
+        const step = this.targetStep;
+        const cells = this.slotCells;
+        const seed = this.findCell(cells, x, y, step);
+        if (!seed) return 0;
+
+        const visited = new Set([seed]);
+        const queue = [seed];
+        let spawned = 0;
+        for (let head = 0; head < queue.length && spawned < limit; head++) {
+            const slot = queue[head];
+            if (!slot.occupiedBy) {
+                let pixelColor = randomColors ? this.getRandomColor() : color;
+                if (favorColors && this.random() < 0.5) {
+                    pixelColor = `rgb(${slot.r},${slot.g},${slot.b})`;
+                }
+                const px = slot.x + (this.random() - 0.5) * step * 4;
+                const py = slot.y + (this.random() - 0.5) * step * 4;
+                const particle = new Particle(px, py, slot.x, slot.y, pixelColor, this.random() * 150, this.random, this.store);
+                particle.slot = slot;
+                slot.occupiedBy = particle;
+                spawned++;
+            }
+            this.neighbourSlots(slot, step).forEach(next => {
+                if (!visited.has(next) && colorDistance(next, seed) <= tolerance) {
+                    visited.add(next);
+                    queue.push(next);
+                }
+            });
+        }
+
+        if (spawned > 0) {
+            this.completed = false;
+            this.updateStats();
+        }
+        return spawned;
+    }
+
+    // Slots next to `slot`: its four grid neighbours in a full grid; in sparser pools (edge,
+    // dither or stipple sampling) its four closest, and any others nearly as close
+    neighbourSlots(slot, step) {
+        const nearby = [];
+        this.slotIndex.near(slot.x, slot.y, FILL_NEIGHBOUR_CANDIDATES).forEach(i => {
+            const other = this.targetPool[i];
+            if (other !== slot) nearby.push([other, (other.x - slot.x) ** 2 + (other.y - slot.y) ** 2]);
+        });
+        if (nearby.length === 0) return [];
+        nearby.sort((a, b) => a[1] - b[1]);
+        const reach = Math.max(step * step, nearby[Math.min(3, nearby.length - 1)][1] * 1.25);
+        return nearby.filter(([, d2]) => d2 <= reach).map(([other]) => other);
+    }
+
+    startMorph() {
+        this.isMorphing = true;
+        this.morphStartFrame = this.frameCount;
+        if (this.assignment === 'optimal') this.optimizeAssignment();
+        // Particles interrupted mid-trip set off again from where they are
+        this.particles.forEach(p => {
+            if (!p.morphed) p.leg = null;
+        });
+        this.applyStagger();
+        this.emit('morphstart');
+    }
+
+    pause() {
+        this.isMorphing = false;
+    }
+
+    /**
+     * Turns the morph around: with `reversed` set, every particle heads back to where it
+     * was spawned; cleared, they head out to their slots again. Follow with startMorph().
+     */
+    setReversed(reversed) {
+        this.reversed = reversed;
+        this.particles.forEach(p => {
+            if (!reversed && !p.slot) return; // Fading out anyway
+            p.targetX = reversed ? p.originX : p.slot.x;
+            p.targetY = reversed ? p.originY : p.slot.y;
+            p.morphed = false;
+            p.leg = null;
+        });
+        this.completed = false;
+    }
+
+    // How many target slots hold a particle
+    filledSlots() {
+        let filled = 0;
+        for (const slot of this.targetPool) {
+            if (slot.occupiedBy) filled++;
+        }
+        return filled;
+    }
+
+    /**
+     * Changes the stage size, moving particles and their target slots proportionally.
+     * Follow with a target pool sampled at the new size (updateTargetPool) to re-home them.
+     */
+    resize(width, height) {
+        const sx = width / this.width;
+        const sy = height / this.height;
+        const { count, x, y, targetX, targetY } = this.store;
+        for (let i = 0; i < count; i++) {
+            x[i] *= sx;
+            y[i] *= sy;
+            targetX[i] *= sx;
+            targetY[i] *= sy;
+        }
+        this.targetPool.forEach(slot => {
+            slot.x = Math.round(slot.x * sx);
+            slot.y = Math.round(slot.y * sy);
+        });
+        this.width = width;
+        this.height = height;
+        this.slotGrid = null;
+        this.slotCellMap = null;
+        if (this.glRenderer) this.glRenderer.resize(width, height);
+        if (this.motionName) this.setMotion(this.motionName, this.motionOptions); // Recentres it
+    }
+
+    clear() {
+        this.store.clear();
+        this.isMorphing = false;
+        this.completed = false;
+
+        // Reset target pool occupancy and pending replacements
+        this.targetPool.forEach(t => {
+            t.occupiedBy = null;
+            t.pendingReplacement = null;
+        });
+
+        this.updateStats();
+    }
+
+    /**
+     * Copies the particle state: every store field, colours, and slot bookkeeping (which
+     * slot each particle aims for, whether it holds it, and which particle a replacement
+     * will remove). Slots are recorded by position so a snapshot can be restored onto a
+     * freshly sampled pool of the same image.
+     */
+    snapshot() {
+        const store = this.store;
+        const count = store.count;
+        const snapshot = {
+            count,
+            reversed: this.reversed,
+            fields: {},
+            morphed: store.morphed.slice(0, count),
+            fading: store.fading.slice(0, count),
+            colors: store.handles.map(p => p.color),
+            drawnColors: store.handles.map(p => p.drawnColor),
+            slotX: new Int32Array(count).fill(-1),
+            slotY: new Int32Array(count).fill(-1),
+            occupies: new Uint8Array(count),
+            replaces: new Int32Array(count).fill(-1)
+        };
+        FLOAT_FIELDS.forEach(field => {
+            snapshot.fields[field] = store[field].slice(0, count);
+        });
+        store.handles.forEach((p, i) => {
+            if (p.slot) {
+                snapshot.slotX[i] = p.slot.x;
+                snapshot.slotY[i] = p.slot.y;
+                snapshot.occupies[i] = p.slot.occupiedBy === p ? 1 : 0;
+            }
+            // A particle still in the store sits at its index; removed ones were detached
+            const replaced = p.particleToReplace;
+            if (p.isReplacement && replaced && replaced.store === store) {
+                snapshot.replaces[i] = replaced.index;
+            }
+        });
+        return snapshot;
+    }
+
+    // Replaces every particle with the contents of a snapshot() and relinks them to the
+    // current target pool. If the pool has changed since, particles whose slot is gone move
+    // to the nearest free cell (as in updateTargetPool) or fade out.
+    restore(snapshot) {
+        // The old particles are replaced wholesale and nothing else refers to them, so they
+        // are dropped rather than detached (which copies each into storage of its own)
+        this.store.reset();
+        this.targetPool.forEach(t => {
+            t.occupiedBy = null;
+            t.pendingReplacement = null;
+        });
+        const cells = this.slotCells;
+        const noRandom = () => 0.5; // State comes from the snapshot, so don't consume the generator
+
+        const particles = [];
+        for (let i = 0; i < snapshot.count; i++) {
+            const slot = snapshot.slotX[i] >= 0 ? cells.get(snapshot.slotY[i] * this.width + snapshot.slotX[i]) || null : null;
+            const p = snapshot.replaces[i] >= 0
+                ? new ReplacementParticle(0, 0, 0, 0, snapshot.colors[i], 0, slot, null, noRandom, this.store)
+                : new Particle(0, 0, 0, 0, snapshot.colors[i], 0, noRandom, this.store);
+            p.random = this.random;
+            if (snapshot.drawnColors && snapshot.drawnColors[i] !== p.color) {
+                p.drawnColor = snapshot.drawnColors[i];
+                p.drawnRgb = parseColor(p.drawnColor);
+            }
+            p.slot = slot;
+            particles.push(p);
+        }
+        // The store was emptied, so particle i sits in slot i and the state copies across whole
+        FLOAT_FIELDS.forEach(field => {
+            this.store[field].set(snapshot.fields[field]);
+        });
+        this.store.morphed.set(snapshot.morphed);
+        this.store.fading.set(snapshot.fading);
+
+        particles.forEach((p, i) => {
+            if (p.slot && snapshot.occupies[i]) p.slot.occupiedBy = p;
+            const replaced = snapshot.replaces[i];
+            if (replaced >= 0) {
+                p.particleToReplace = particles[replaced];
+                if (p.slot) p.slot.pendingReplacement = particles[replaced];
+            }
+        });
+
+        particles.forEach((p, i) => {
+            if (p.slot || snapshot.slotX[i] < 0) return;
+            if (snapshot.occupies[i]) {
+                const cell = this.findFreeCell(cells, this.targetPool, snapshot.slotX[i], snapshot.slotY[i], this.targetStep);
+                if (cell) {
+                    this.assignSlot(p, cell);
+                    return;
+                }
+            }
+            // A replacement heading for a lost slot must not take its old particle with it
+            p.fading = true;
+            p.isReplacement = false;
+            p.particleToReplace = null;
+        });
+
+        this.reversed = !!snapshot.reversed;
+        this.completed = false;
+        this.updateStats();
+    }
+
+    getStats() {
+        const { count, fading } = this.store;
+        let total = 0;
+        let morphed = 0;
+        for (let i = 0; i < count; i++) {
+            if (fading[i]) continue;
+            total++;
+            morphed += this.store.morphed[i];
+        }
+        const percent = total > 0 ? Math.round((morphed / total) * 100) : 0;
+        return { total, morphed, percent };
+    }
+
+    updateStats() {
+        const stats = this.getStats();
+        this.emit('progress', stats);
+
+        if (stats.percent === 100 && stats.total > 0 && !this.completed) {
+            this.completed = true;
+            this.emit('complete', { total: stats.total });
+        }
+        return stats;
+    }
+
+    // Advance the physics by one frame
+    step() {
+        this.frameCount++;
+
+        // Track particles to remove (old particles replaced by new ones)
+        const particlesToRemove = new Set();
+
+        if (this.liveColors) {
+            this.particles.forEach(p => {
+                if (p.slot) p.blendColor(p.slot, 0.2);
+            });
+        } else if (this.colorTransition !== 'off') {
+            this.transitionColors();
+        }
+
+        // Check if a replacement particle just finished morphing
+        // (Not on the way back to the spawn points: the two swap over when it reaches its slot)
+        const arrived = (p) => {
+            if (p.isReplacement && p.particleToReplace && !this.reversed) {
+                // The replacement has arrived! Remove the old particle
+                particlesToRemove.add(p.particleToReplace);
+                // Clear the reference
+                p.particleToReplace = null;
+                p.isReplacement = false;
+            }
+        };
+
+        if (this.isMorphing) {
+            const forces = [...this.forces.values(), ...this.audioForces].filter(f => f.enabled);
+            if (forces.length === 0 && this.motion.stepStore) {
+                this.stepStore(particlesToRemove, arrived);
+            } else {
+                this.particles.forEach(p => {
+                    if (p.fading) {
+                        p.opacity -= 0.03;
+                        if (p.opacity <= 0) particlesToRemove.add(p);
+                    }
+
+                    const wasMorphed = p.morphed;
+                    p.update(this.frameCount, this.morphStartFrame, forces, this.motion);
+                    if (!wasMorphed && p.morphed) arrived(p);
+                });
+            }
+        }
+
+        // Remove replaced and faded-out particles
+        if (particlesToRemove.size > 0) {
+            this.store.removeWhere(p => particlesToRemove.has(p));
+        }
+
+        if (this.isMorphing && this.frameCount % 30 === 0) {
+            this.updateStats();
+        }
+    }
+
+    // The same frame as the per-particle loop in step(), run straight over the store's
+    // arrays for motion models that support it
+    stepStore(particlesToRemove, arrived) {
+        const store = this.store;
+        const { count, fading, opacity, morphed, delay, handles } = store;
+        const start = this.morphStartFrame;
+        for (let i = 0; i < count; i++) {
+            if (fading[i]) {
+                opacity[i] -= 0.03;
+                if (opacity[i] <= 0) particlesToRemove.add(handles[i]);
+            }
+            if (morphed[i] || this.frameCount < start + delay[i]) continue;
+            if (this.motion.stepStore(store, i)) arrived(handles[i]);
+        }
+    }
+
+    // Draw the current state. With trails, the previous frame is faded instead of cleared.
+    // `pixelRatio` is the context's size relative to the stage, e.g. for HiDPI screens.
+    render(ctx, { trails = false, pixelRatio = 1 } = {}) {
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        if (trails) {
+            // Semi-transparent fill for motion trails / glow effect
+            ctx.fillStyle = 'rgba(13, 13, 18, 0.15)';
+        } else {
+            ctx.fillStyle = this.background;
+        }
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        const scale = 1 + this.audio.size * AUDIO_SIZE_BOOST;
+        this.activeRenderer = this.pickRenderer();
+        if (this.activeRenderer === 'webgl') {
+            this.glRenderer.draw(this.store, this.renderStyle, { step: this.targetStep, pixelRatio, scale });
+            const { x, y, width, height } = this.glRenderer.region;
+            if (this.renderStyle.glow) ctx.globalCompositeOperation = 'lighter';
+            ctx.drawImage(this.glRenderer.canvas, x, y, width, height, 0, 0, this.width, this.height);
+            ctx.globalCompositeOperation = 'source-over';
+        } else {
+            this.renderStyle.draw(ctx, this.particles, { step: this.targetStep, scale });
+        }
+
+        if (this.audio.brightness > 0.01) {
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalCompositeOperation = 'lighter';
+            ctx.globalAlpha = Math.min(1, this.audio.brightness);
+            ctx.drawImage(ctx.canvas, 0, 0);
+            ctx.restore();
+        }
+    }
+
+    // 'auto' uses WebGL for large particle counts, 'webgl' whenever possible, 'canvas' never.
+    // Glyph styles and browsers without WebGL always use Canvas 2D.
+    setRenderer(renderer) {
+        if (!RENDERERS.includes(renderer)) {
+            throw new Error(`Unknown renderer "${renderer}"`);
+        }
+        this.renderer = renderer;
+    }
+
+    pickRenderer() {
+        if (this.renderer === 'canvas' || !WebGLRenderer.supportsStyle(this.renderStyle)) return 'canvas';
+        if (this.renderer === 'auto' && this.store.count < AUTO_WEBGL_THRESHOLD) return 'canvas';
+        if (!WebGLRenderer.isSupported()) return 'canvas';
+
+        if (this.glRenderer && this.glRenderer.lost) {
+            this.glRenderer = null;
+            WebGLRenderer.markUnsupported(); // Don't keep recreating a context the GPU dropped
+            return 'canvas';
+        }
+        if (!this.glRenderer) {
+            try {
+                this.glRenderer = new WebGLRenderer(this.width, this.height);
+            } catch (error) {
+                console.warn('WebGL renderer unavailable, using Canvas 2D', error);
+                WebGLRenderer.markUnsupported();
+                return 'canvas';
+            }
+        }
+        return 'webgl';
+    }
+}
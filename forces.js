@@ -0,0 +1,104 @@
+/**
+ * Pixel Morph - Force Fields
+ * External forces composed into each particle's update: gravity, wind, vortices,
+ * attractors, repulsors (e.g. the cursor) and random jitter (e.g. driven by audio).
+ */
+
+// How a positional force weakens with distance d from its centre (radius r)
+export const FALLOFFS = {
+    none: () => 1,
+    linear: (d, r) => Math.max(0, 1 - d / r),
+    smooth: (d, r) => {
+        const t = Math.max(0, 1 - d / r);
+        return t * t * (3 - 2 * t);
+    },
+    'inverse-square': (d, r) => 1 / (1 + (4 * d / r) ** 2)
+};
+
+export const FORCE_TYPES = ['gravity', 'wind', 'vortex', 'attractor', 'repel', 'jitter'];
+
+export class ForceField {
+    constructor({
+        name,
+        type = 'attractor',
+        strength = 0.5,
+        x = 0,
+        y = 0,
+        radius = 150,
+        falloff = 'linear',
+        angle = 0,
+        enabled = true,
+        disturbsSettled = type === 'repel',
+        random = Math.random
+    } = {}) {
+        if (!FORCE_TYPES.includes(type)) {
+            throw new Error(`Unknown force type "${type}"`);
+        }
+        if (!FALLOFFS[falloff]) {
+            throw new Error(`Unknown falloff "${falloff}"`);
+        }
+        this.name = name || type;
+        this.type = type;
+        this.strength = strength; // Acceleration in px/frame² at full effect
+        this.x = x;
+        this.y = y;
+        this.radius = radius;
+        this.falloff = falloff;
+        this.angle = angle; // Direction for wind, in radians (0 = blowing right)
+        this.enabled = enabled;
+        // Forces that disturb settled particles knock them off their target; the others only
+        // bend particles in flight and fade out near the target so the image still forms
+        this.disturbsSettled = disturbsSettled;
+        this.random = random; // Direction source for jitter
+    }
+
+    // Adds this force's acceleration at (x, y) to `out` ({ ax, ay })
+    accumulate(x, y, out) {
+        switch (this.type) {
+            case 'gravity':
+                out.ay += this.strength;
+                return;
+            case 'wind':
+                out.ax += Math.cos(this.angle) * this.strength;
+                out.ay += Math.sin(this.angle) * this.strength;
+                return;
+            case 'jitter': {
+                // A fresh direction every time, so each particle shakes on its own
+                const angle = this.random() * Math.PI * 2;
+                out.ax += Math.cos(angle) * this.strength;
+                out.ay += Math.sin(angle) * this.strength;
+                return;
+            }
+        }
+
+        const dx = this.x - x;
+        const dy = this.y - y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance < 0.001) return;
+
+        const magnitude = this.strength * FALLOFFS[this.falloff](distance, this.radius);
+        if (magnitude === 0) return;
+        const nx = dx / distance;
+        const ny = dy / distance;
+
+        if (this.type === 'vortex') {
+            // Perpendicular to the centre: positive strength spins clockwise on screen
+            out.ax += -ny * magnitude;
+            out.ay += nx * magnitude;
+        } else if (this.type === 'attractor') {
+            out.ax += nx * magnitude;
+            out.ay += ny * magnitude;
+        } else {
+            out.ax -= nx * magnitude;
+            out.ay -= ny * magnitude;
+        }
+    }
+
+    // Whether the force is strong enough at (x, y) to knock a settled particle loose
+    disturbs(x, y) {
+        if (!this.enabled || !this.disturbsSettled) return false;
+        const out = { ax: 0, ay: 0 };
+        this.accumulate(x, y, out);
+        return out.ax * out.ax + out.ay * out.ay > 0.01;
+    }
+}
@@ -0,0 +1,272 @@
+/**
+ * Pixel Morph - GIF Encoder
+ * Minimal animated GIF89a writer: median-cut quantization per frame and LZW compression.
+ */
+
+class ByteWriter {
+    constructor(initialSize = 1 << 16) {
+        this.bytes = new Uint8Array(initialSize);
+        this.length = 0;
+    }
+
+    ensure(extra) {
+        if (this.length + extra <= this.bytes.length) return;
+        let size = this.bytes.length * 2;
+        while (size < this.length + extra) size *= 2;
+        const grown = new Uint8Array(size);
+        grown.set(this.bytes.subarray(0, this.length));
+        this.bytes = grown;
+    }
+
+    writeByte(value) {
+        this.ensure(1);
+        this.bytes[this.length++] = value & 0xff;
+    }
+
+    writeShort(value) {
+        this.writeByte(value);
+        this.writeByte(value >> 8);
+    }
+
+    writeString(str) {
+        for (let i = 0; i < str.length; i++) {
+            this.writeByte(str.charCodeAt(i));
+        }
+    }
+
+    writeBytes(array, count = array.length) {
+        this.ensure(count);
+        for (let i = 0; i < count; i++) {
+            this.bytes[this.length++] = array[i];
+        }
+    }
+
+    toUint8Array() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+export class GifEncoder {
+    constructor(width, height, { loop = true } = {}) {
+        this.width = width;
+        this.height = height;
+        this.loop = loop;
+        this.out = new ByteWriter();
+        this.frameCount = 0;
+        this.finished = false;
+        this.writeHeader();
+    }
+
+    writeHeader() {
+        this.out.writeString('GIF89a');
+        this.out.writeShort(this.width);
+        this.out.writeShort(this.height);
+        this.out.writeByte(0); // No global color table, every frame carries its own
+        this.out.writeByte(0); // Background color index
+        this.out.writeByte(0); // Pixel aspect ratio
+
+        if (this.loop) {
+            // NETSCAPE2.0 application extension: loop forever
+            this.out.writeByte(0x21);
+            this.out.writeByte(0xff);
+            this.out.writeByte(11);
+            this.out.writeString('NETSCAPE2.0');
+            this.out.writeByte(3);
+            this.out.writeByte(1);
+            this.out.writeShort(0);
+            this.out.writeByte(0);
+        }
+    }
+
+    // rgba is the data array of an ImageData matching the encoder's width/height
+    addFrame(rgba, delayMs) {
+        if (this.finished) throw new Error('GifEncoder: cannot add frames after finish()');
+
+        const { palette, indices } = this.quantize(rgba);
+
+        // Graphic control extension (frame delay in centiseconds)
+        this.out.writeByte(0x21);
+        this.out.writeByte(0xf9);
+        this.out.writeByte(4);
+        this.out.writeByte(0);
+        this.out.writeShort(Math.max(2, Math.round(delayMs / 10)));
+        this.out.writeByte(0);
+        this.out.writeByte(0);
+
+        // Image descriptor with a 256-entry local color table
+        this.out.writeByte(0x2c);
+        this.out.writeShort(0);
+        this.out.writeShort(0);
+        this.out.writeShort(this.width);
+        this.out.writeShort(this.height);
+        this.out.writeByte(0x87);
+        this.out.writeBytes(palette);
+
+        this.writeLzw(indices, 8);
+        this.frameCount++;
+    }
+
+    finish() {
+        if (!this.finished) {
+            this.out.writeByte(0x3b);
+            this.finished = true;
+        }
+        return this.out.toUint8Array();
+    }
+
+    // Median cut over a 5-bit-per-channel histogram. Every histogram bin ends up in exactly
+    // one box, so the box index doubles as the palette index for that bin.
+    quantize(rgba) {
+        const pixelCount = this.width * this.height;
+        const histogram = new Uint32Array(32768);
+        const bins = new Uint16Array(pixelCount);
+
+        for (let i = 0, p = 0; i < pixelCount; i++, p += 4) {
+            const bin = ((rgba[p] >> 3) << 10) | ((rgba[p + 1] >> 3) << 5) | (rgba[p + 2] >> 3);
+            bins[i] = bin;
+            histogram[bin]++;
+        }
+
+        const colors = [];
+        for (let bin = 0; bin < 32768; bin++) {
+            if (histogram[bin] > 0) colors.push(bin);
+        }
+
+        const channel = (bin, c) => (bin >> (10 - c * 5)) & 31;
+        const makeBox = (list) => {
+            const min = [31, 31, 31];
+            const max = [0, 0, 0];
+            let count = 0;
+            list.forEach(bin => {
+                for (let c = 0; c < 3; c++) {
+                    const v = channel(bin, c);
+                    if (v < min[c]) min[c] = v;
+                    if (v > max[c]) max[c] = v;
+                }
+                count += histogram[bin];
+            });
+            const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+            const axis = ranges.indexOf(Math.max(...ranges));
+            return { list, count, axis, range: ranges[axis] };
+        };
+
+        const boxes = [makeBox(colors)];
+        while (boxes.length < 256) {
+            // Split the box covering the most pixels that still has some spread
+            let target = -1;
+            let bestScore = 0;
+            boxes.forEach((box, i) => {
+                const score = box.range > 0 ? box.count * box.range : 0;
+                if (score > bestScore) {
+                    bestScore = score;
+                    target = i;
+                }
+            });
+            if (target === -1) break;
+
+            const box = boxes[target];
+            box.list.sort((a, b) => channel(a, box.axis) - channel(b, box.axis));
+            let half = box.count / 2;
+            let split = 1;
+            for (let i = 0; i < box.list.length - 1; i++) {
+                half -= histogram[box.list[i]];
+                if (half <= 0) {
+                    split = i + 1;
+                    break;
+                }
+                split = i + 1;
+            }
+            boxes.splice(target, 1, makeBox(box.list.slice(0, split)), makeBox(box.list.slice(split)));
+        }
+
+        const palette = new Uint8Array(768);
+        const lookup = new Uint8Array(32768);
+        boxes.forEach((box, index) => {
+            let r = 0, g = 0, b = 0;
+            box.list.forEach(bin => {
+                const weight = histogram[bin];
+                r += (channel(bin, 0) << 3 | 4) * weight;
+                g += (channel(bin, 1) << 3 | 4) * weight;
+                b += (channel(bin, 2) << 3 | 4) * weight;
+                lookup[bin] = index;
+            });
+            palette[index * 3] = Math.round(r / box.count);
+            palette[index * 3 + 1] = Math.round(g / box.count);
+            palette[index * 3 + 2] = Math.round(b / box.count);
+        });
+
+        const indices = new Uint8Array(pixelCount);
+        for (let i = 0; i < pixelCount; i++) {
+            indices[i] = lookup[bins[i]];
+        }
+
+        return { palette, indices };
+    }
+
+    writeLzw(indices, minCodeSize) {
+        const out = this.out;
+        const clearCode = 1 << minCodeSize;
+        const eoiCode = clearCode + 1;
+        let codeSize = minCodeSize + 1;
+        let nextCode = eoiCode + 1;
+        let table = new Map();
+
+        const block = new Uint8Array(255);
+        let blockLength = 0;
+        let bits = 0;
+        let bitCount = 0;
+
+        const flushBlock = () => {
+            if (blockLength === 0) return;
+            out.writeByte(blockLength);
+            out.writeBytes(block, blockLength);
+            blockLength = 0;
+        };
+        const emit = (code) => {
+            bits |= code << bitCount;
+            bitCount += codeSize;
+            while (bitCount >= 8) {
+                block[blockLength++] = bits & 0xff;
+                if (blockLength === 255) flushBlock();
+                bits >>>= 8;
+                bitCount -= 8;
+            }
+        };
+
+        out.writeByte(minCodeSize);
+        emit(clearCode);
+
+        let current = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (current << 8) | k;
+            const existing = table.get(key);
+            if (existing !== undefined) {
+                current = existing;
+                continue;
+            }
+
+            emit(current);
+            if (nextCode === 4096) {
+                // Table full: reset the dictionary
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = eoiCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+            current = k;
+        }
+
+        emit(current);
+        emit(eoiCode);
+        if (bitCount > 0) {
+            block[blockLength++] = bits & 0xff;
+            if (blockLength === 255) flushBlock();
+        }
+        flushBlock();
+        out.writeByte(0); // Block terminator
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * Pixel Morph - History
+ * Undo/redo stacks of engine snapshots, bounded by entry count and by an estimate of
+ * their memory so large particle counts keep fewer steps instead of growing unchecked.
+ */
+
+import { FLOAT_FIELDS } from './particleStore.js';
+
+// Per particle: the float fields, morphed/fading/occupies flags, three Int32 slot
+// links, and the current and drawn colour strings (counted generously, as JS strings
+// aren't compact; the two are often the same string)
+const BYTES_PER_PARTICLE = FLOAT_FIELDS.length * 8 + 3 + 3 * 4 + 96;
+
+// Approximate memory held by an engine snapshot()
+export function snapshotBytes(snapshot) {
+    return snapshot.count * BYTES_PER_PARTICLE;
+}
+
+/**
+ * Entries are whatever the caller wants restored (for the app: a particle snapshot plus
+ * the strokes); `sizeOf(entry)` estimates each one's memory. The oldest undo steps are
+ * dropped first when either limit is exceeded, then the furthest redo steps.
+ */
+export class History {
+    constructor({ maxEntries = 50, maxBytes = 64 * 1024 * 1024, sizeOf = () => 0 } = {}) {
+        this.maxEntries = maxEntries;
+        this.maxBytes = maxBytes;
+        this.sizeOf = sizeOf;
+        this.undoStack = []; // { entry, bytes }, oldest first
+        this.redoStack = []; // Most recently undone last
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    // Saves the state from before an action; a new action discards the redo steps
+    record(entry) {
+        this.undoStack.push(this.wrap(entry));
+        this.redoStack = [];
+        this.trim();
+    }
+
+    // Returns the state to go back to (null if there is none), keeping `current` for redo
+    undo(current) {
+        if (!this.canUndo) return null;
+        this.redoStack.push(this.wrap(current));
+        const { entry } = this.undoStack.pop();
+        this.trim();
+        return entry;
+    }
+
+    redo(current) {
+        if (!this.canRedo) return null;
+        this.undoStack.push(this.wrap(current));
+        const { entry } = this.redoStack.pop();
+        this.trim();
+        return entry;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    wrap(entry) {
+        return { entry, bytes: this.sizeOf(entry) };
+    }
+
+    get bytes() {
+        const sum = (total, item) => total + item.bytes;
+        return this.undoStack.reduce(sum, 0) + this.redoStack.reduce(sum, 0);
+    }
+
+    trim() {
+        let bytes = this.bytes;
+        const over = () => this.undoStack.length + this.redoStack.length > this.maxEntries || bytes > this.maxBytes;
+        // The nearest undo step always stays, even if it alone is over budget
+        while (over() && this.undoStack.length + this.redoStack.length > 1) {
+            const stack = this.undoStack.length > 1 || this.redoStack.length === 0 ? this.undoStack : this.redoStack;
+            bytes -= stack.shift().bytes;
+        }
+    }
+}
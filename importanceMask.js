@@ -0,0 +1,101 @@
+/**
+ * Pixel Morph - Importance Mask
+ * A paintable layer over the canvas marking the parts of the target that matter most.
+ * Sampling fills painted areas first, and packs them more densely in the dither and
+ * stipple modes (see sampling.js).
+ */
+
+// Soft brush dabs are laid this fraction of the radius apart along a drag
+const DAB_SPACING = 0.25;
+
+export class ImportanceMask {
+    constructor(width, height) {
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+        this.empty = true;
+    }
+
+    get width() {
+        return this.canvas.width;
+    }
+
+    get height() {
+        return this.canvas.height;
+    }
+
+    // Stretches what's painted so far onto a canvas of the new size
+    resize(width, height) {
+        if (width === this.width && height === this.height) return;
+        const previous = document.createElement('canvas');
+        previous.width = this.width;
+        previous.height = this.height;
+        previous.getContext('2d').drawImage(this.canvas, 0, 0);
+        this.canvas.width = width;
+        this.canvas.height = height;
+        if (!this.empty) this.ctx.drawImage(previous, 0, 0, width, height);
+    }
+
+    // One soft round dab; `erase` removes importance instead
+    paint(x, y, radius, { erase = false } = {}) {
+        const gradient = this.ctx.createRadialGradient(x, y, 0, x, y, radius);
+        gradient.addColorStop(0, 'rgba(255, 60, 90, 0.35)');
+        gradient.addColorStop(1, 'rgba(255, 60, 90, 0)');
+        this.ctx.save();
+        this.ctx.globalCompositeOperation = erase ? 'destination-out' : 'source-over';
+        this.ctx.fillStyle = gradient;
+        this.ctx.beginPath();
+        this.ctx.arc(x, y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.restore();
+        if (!erase) this.empty = false;
+    }
+
+    // Dabs evenly along the line from `from` to `to` (both { x, y })
+    stroke(from, to, radius, options = {}) {
+        const distance = Math.hypot(to.x - from.x, to.y - from.y);
+        const dabs = Math.max(1, Math.ceil(distance / Math.max(1, radius * DAB_SPACING)));
+        for (let i = 1; i <= dabs; i++) {
+            this.paint(from.x + (to.x - from.x) * i / dabs, from.y + (to.y - from.y) * i / dabs, radius, options);
+        }
+    }
+
+    clear() {
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.empty = true;
+    }
+
+    // Importance per canvas pixel (0-255, row by row) for sampling, or null if nothing is painted
+    values() {
+        if (this.empty) return null;
+        const { data } = this.ctx.getImageData(0, 0, this.width, this.height);
+        const values = new Uint8Array(this.width * this.height);
+        for (let i = 0; i < values.length; i++) {
+            values[i] = data[i * 4 + 3];
+        }
+        return values;
+    }
+
+    // PNG data URL of the mask, or null if nothing is painted (for project files)
+    toDataURL() {
+        return this.empty ? null : this.canvas.toDataURL('image/png');
+    }
+
+    // Replaces the mask with a saved one (from toDataURL), scaled to the current size;
+    // null clears it. Resolves false if the image couldn't be read.
+    load(src) {
+        this.clear();
+        if (!src) return Promise.resolve(true);
+        return new Promise((resolve) => {
+            const img = new Image();
+            img.onload = () => {
+                this.ctx.drawImage(img, 0, 0, this.width, this.height);
+                this.empty = false;
+                resolve(true);
+            };
+            img.onerror = () => resolve(false);
+            img.src = src;
+        });
+    }
+}
@@ -0,0 +1,309 @@
+/**
+ * Pixel Morph - Motion Models
+ * How a particle travels to its target: springs, timed tweens along straight or curved
+ * paths, or a burst outward before assembling. Particle.update() handles delays and
+ * settled particles, then hands each frame to the engine's active model.
+ *
+ * A model implements begin(particle, frame), which stores per-leg state on
+ * `particle.leg`, and step(particle, frame, forces, knockedLoose), which moves the
+ * particle one frame and calls particle.settle() once it has arrived.
+ */
+
+// Standard easing curves, t in 0..1
+export const EASINGS = {
+    linear: t => t,
+    cubic: t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+    elastic: t => {
+        if (t === 0 || t === 1) return t;
+        return 2 ** (-10 * t) * Math.sin((t * 10 - 0.75) * (2 * Math.PI) / 3) + 1;
+    },
+    bounce: t => {
+        const n = 7.5625;
+        const d = 2.75;
+        if (t < 1 / d) return n * t * t;
+        if (t < 2 / d) return n * (t - 1.5 / d) ** 2 + 0.75;
+        if (t < 2.5 / d) return n * (t - 2.25 / d) ** 2 + 0.9375;
+        return n * (t - 2.625 / d) ** 2 + 0.984375;
+    },
+    back: t => {
+        const overshoot = 1.70158;
+        return 1 + (overshoot + 1) * (t - 1) ** 3 + overshoot * (t - 1) ** 2;
+    }
+};
+
+// Scratch accumulator for force fields, reused to avoid per-particle allocations
+const forceSum = { ax: 0, ay: 0 };
+
+// Adds the forces' acceleration at (x, y) to body.vx/vy. In-flight forces are weakened by
+// `scale` so particles still land; disturbing forces (e.g. cursor repel) apply at full strength.
+function addForces(forces, x, y, scale, body) {
+    for (const force of forces) {
+        forceSum.ax = 0;
+        forceSum.ay = 0;
+        force.accumulate(x, y, forceSum);
+        const amount = force.disturbsSettled ? 1 : scale;
+        body.vx += forceSum.ax * amount;
+        body.vy += forceSum.ay * amount;
+    }
+}
+
+// The original physics: per-particle ease and friction plus organic noise
+export class SpringMotion {
+    begin(p, frame) {
+        p.leg = { frame };
+    }
+
+    step(p, frame, forces, knockedLoose) {
+        // Movement physics
+        const dx = p.targetX - p.x;
+        const dy = p.targetY - p.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        // Smooth acceleration towards target
+        p.vx += dx * p.ease;
+        p.vy += dy * p.ease;
+
+        // Organic noise - scale it down as we get closer to target
+        // This prevents "bouncing around" indefinitely when near the goal
+        const noiseScale = Math.min(1.0, distance / 100);
+        if (distance > 2) {
+            p.vx += (p.random() - 0.5) * 2.0 * noiseScale;
+            p.vy += (p.random() - 0.5) * 2.0 * noiseScale;
+        }
+
+        addForces(forces, p.x, p.y, noiseScale, p);
+
+        // Apply friction
+        p.vx *= p.friction;
+        p.vy *= p.friction;
+
+        p.x += p.vx;
+        p.y += p.vy;
+
+        // Snapping threshold - slightly increased for faster settling
+        if (distance < 0.5 && !knockedLoose) {
+            p.settle();
+        }
+    }
+
+    // step() for slot i of a ParticleStore, working on the arrays directly. The engine uses
+    // this when no forces are active. Returns true if the particle settled.
+    stepStore(store, i) {
+        const { x, y, vx, vy, targetX, targetY } = store;
+        const dx = targetX[i] - x[i];
+        const dy = targetY[i] - y[i];
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        vx[i] += dx * store.ease[i];
+        vy[i] += dy * store.ease[i];
+
+        const noiseScale = Math.min(1.0, distance / 100);
+        if (distance > 2) {
+            const random = store.handles[i].random;
+            vx[i] += (random() - 0.5) * 2.0 * noiseScale;
+            vy[i] += (random() - 0.5) * 2.0 * noiseScale;
+        }
+
+        vx[i] *= store.friction[i];
+        vy[i] *= store.friction[i];
+        x[i] += vx[i];
+        y[i] += vy[i];
+
+        if (distance < 0.5) {
+            x[i] = targetX[i];
+            y[i] = targetY[i];
+            vx[i] = 0;
+            vy[i] = 0;
+            store.morphed[i] = 1;
+            return true;
+        }
+        return false;
+    }
+}
+
+// Arrives as fast as possible without overshooting; `stiffness` sets how quickly
+export class DampedSpringMotion {
+    constructor({ stiffness = 0.05 } = {}) {
+        this.stiffness = stiffness;
+    }
+
+    begin(p, frame) {
+        p.leg = { frame };
+    }
+
+    step(p, frame, forces, knockedLoose) {
+        const dx = p.targetX - p.x;
+        const dy = p.targetY - p.y;
+        const damping = 2 * Math.sqrt(this.stiffness); // Critical damping for a unit mass
+
+        p.vx += dx * this.stiffness - p.vx * damping;
+        p.vy += dy * this.stiffness - p.vy * damping;
+        addForces(forces, p.x, p.y, Math.min(1, Math.sqrt(dx * dx + dy * dy) / 100), p);
+
+        p.x += p.vx;
+        p.y += p.vy;
+
+        const rx = p.targetX - p.x;
+        const ry = p.targetY - p.y;
+        if (!knockedLoose && rx * rx + ry * ry < 0.25 && p.vx * p.vx + p.vy * p.vy < 0.25) {
+            p.settle();
+        }
+    }
+}
+
+// Travels in a straight line over a fixed number of frames along an easing curve. Forces
+// push the particle off its path and it springs back, so they never change the timing.
+export class TweenMotion {
+    constructor({ duration = 90, easing = 'cubic' } = {}) {
+        if (!EASINGS[easing]) {
+            throw new Error(`Unknown easing "${easing}"`);
+        }
+        this.duration = duration; // Frames
+        this.easing = easing;
+    }
+
+    begin(p, frame) {
+        p.leg = { frame, x: p.x, y: p.y, ox: 0, oy: 0, vx: 0, vy: 0 };
+    }
+
+    // Position along the path at eased progress e, written to p.x/p.y
+    place(p, leg, e) {
+        p.x = leg.x + (p.targetX - leg.x) * e;
+        p.y = leg.y + (p.targetY - leg.y) * e;
+    }
+
+    step(p, frame, forces, knockedLoose) {
+        const leg = p.leg;
+        const t = Math.min(1, (frame - leg.frame) / this.duration);
+        this.place(p, leg, EASINGS[this.easing](t));
+
+        // Force offset: a small damped spring around the path
+        addForces(forces, p.x + leg.ox, p.y + leg.oy, 1 - t, leg);
+        leg.vx = (leg.vx - leg.ox * 0.05) * 0.85;
+        leg.vy = (leg.vy - leg.oy * 0.05) * 0.85;
+        leg.ox += leg.vx;
+        leg.oy += leg.vy;
+        p.x += leg.ox;
+        p.y += leg.oy;
+
+        const offset = leg.ox * leg.ox + leg.oy * leg.oy;
+        if (t >= 1 && !knockedLoose && offset < 0.25 && leg.vx * leg.vx + leg.vy * leg.vy < 0.25) {
+            p.settle();
+        }
+    }
+}
+
+// A tween along a curve: a Bézier arc bowed `bend` times the distance to one side, or an
+// orbit that spirals `turns` times around the target while closing in
+export class PathMotion extends TweenMotion {
+    constructor({ duration = 120, easing = 'cubic', curve = 'bezier', bend = 0.5, turns = 0.75 } = {}) {
+        super({ duration, easing });
+        if (curve !== 'bezier' && curve !== 'orbit') {
+            throw new Error(`Unknown path curve "${curve}"`);
+        }
+        this.curve = curve;
+        this.bend = bend;
+        this.turns = turns;
+    }
+
+    begin(p, frame) {
+        super.begin(p, frame);
+        // Half the particles curve each way, by a varying amount
+        p.leg.side = (p.random() < 0.5 ? -1 : 1) * (0.5 + p.random());
+    }
+
+    place(p, leg, e) {
+        if (this.curve === 'orbit') {
+            const dx = leg.x - p.targetX;
+            const dy = leg.y - p.targetY;
+            const radius = Math.sqrt(dx * dx + dy * dy) * (1 - e);
+            const angle = Math.atan2(dy, dx) + this.turns * 2 * Math.PI * e * Math.sign(leg.side);
+            p.x = p.targetX + Math.cos(angle) * radius;
+            p.y = p.targetY + Math.sin(angle) * radius;
+            return;
+        }
+
+        // Quadratic Bézier with its control point off to the side of the midpoint
+        const cx = (leg.x + p.targetX) / 2 - (p.targetY - leg.y) * this.bend * leg.side;
+        const cy = (leg.y + p.targetY) / 2 + (p.targetX - leg.x) * this.bend * leg.side;
+        const u = 1 - e;
+        p.x = u * u * leg.x + 2 * u * e * cx + e * e * p.targetX;
+        p.y = u * u * leg.y + 2 * u * e * cy + e * e * p.targetY;
+    }
+}
+
+// Bursts away from (centerX, centerY) for `burst` frames, then assembles with a damped spring
+export class ExplodeMotion {
+    constructor({ burst = 40, power = 8, stiffness = 0.05, centerX = 0, centerY = 0 } = {}) {
+        this.burst = burst;
+        this.power = power;
+        this.centerX = centerX;
+        this.centerY = centerY;
+        this.assemble = new DampedSpringMotion({ stiffness });
+    }
+
+    begin(p, frame) {
+        p.leg = { frame, launched: false };
+    }
+
+    step(p, frame, forces, knockedLoose) {
+        const leg = p.leg;
+        if (frame - leg.frame >= this.burst) {
+            this.assemble.step(p, frame, forces, knockedLoose);
+            return;
+        }
+        if (!leg.launched) {
+            const dx = p.x - this.centerX;
+            const dy = p.y - this.centerY;
+            const angle = dx === 0 && dy === 0 ? p.random() * Math.PI * 2 : Math.atan2(dy, dx);
+            const speed = this.power * (0.5 + p.random());
+            p.vx = Math.cos(angle) * speed;
+            p.vy = Math.sin(angle) * speed;
+            leg.launched = true;
+        }
+        addForces(forces, p.x, p.y, 1, p);
+        p.vx *= 0.92;
+        p.vy *= 0.92;
+        p.x += p.vx;
+        p.y += p.vy;
+    }
+}
+
+export const MOTION_MODELS = {
+    spring: SpringMotion,
+    damped: DampedSpringMotion,
+    tween: TweenMotion,
+    path: PathMotion,
+    explode: ExplodeMotion
+};
+
+export function createMotion(name, options = {}) {
+    const Model = MOTION_MODELS[name];
+    if (!Model) {
+        throw new Error(`Unknown motion model "${name}"`);
+    }
+    return new Model(options);
+}
+
+// How particle start delays are ordered: 'random' keeps each particle's own random delay
+export const STAGGER_PATTERNS = ['random', 'sweep', 'radial', 'brightness'];
+
+// Where a particle falls in the stagger order, 0 (first) to 1 (last)
+export function staggerOrder(pattern, p, width, height) {
+    switch (pattern) {
+        case 'sweep':
+            return Math.min(1, Math.max(0, p.targetX / width));
+        case 'radial': {
+            const cx = width / 2;
+            const cy = height / 2;
+            return Math.min(1, Math.hypot(p.targetX - cx, p.targetY - cy) / Math.hypot(cx, cy));
+        }
+        case 'brightness': {
+            // Brightest first, judged by the target colour where there is one
+            const c = p.slot || p.rgb;
+            return 1 - (c.r + c.g + c.b) / 765;
+        }
+        default:
+            throw new Error(`Unknown stagger pattern "${pattern}"`);
+    }
+}
@@ -0,0 +1,180 @@
+/**
+ * Pixel Morph - Palettes
+ * Maps target slot colours onto a palette: a fixed one (Game Boy, PICO-8, CGA or any
+ * list of colours), one fitted to the image (k-means or median cut), or a duotone ramp.
+ * Colours are matched perceptually, in CIELAB.
+ */
+
+import { rgbToLab, labToRgb, deltaE } from './color.js';
+import { createRandom } from './random.js';
+
+export const PALETTE_METHODS = ['fixed', 'kmeans', 'median-cut', 'duotone'];
+
+export const PALETTES = {
+    gameboy: ['#0f380f', '#306230', '#8bac0f', '#9bbc0f'],
+    pico8: [
+        '#000000', '#1d2b53', '#7e2553', '#008751', '#ab5236', '#5f574f', '#c2c3c7', '#fff1e8',
+        '#ff004d', '#ffa300', '#ffec27', '#00e436', '#29adff', '#83769c', '#ff77a8', '#ffccaa'
+    ],
+    cga: ['#000000', '#55ffff', '#ff55ff', '#ffffff'] // Mode 4, palette 1, high intensity
+};
+
+// Adaptive palettes are fitted to at most this many slots, picked at random
+const FIT_SAMPLE = 4000;
+const KMEANS_ITERATIONS = 10;
+
+export function hexToRgb(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return { r: (value >> 16) & 255, g: (value >> 8) & 255, b: value & 255 };
+}
+
+/**
+ * Recolours `slots` (anything with r, g, b) in place. Options:
+ *  - method: one of PALETTE_METHODS
+ *  - colors: '#rrggbb' strings; the palette for 'fixed', [dark, light] for 'duotone'
+ *  - count:  palette size for 'kmeans' and 'median-cut'
+ *  - seed:   seeds the sample the adaptive palettes are fitted to
+ */
+export function quantizeSlots(slots, { method = 'fixed', colors = [], count = 8, seed = 1 } = {}) {
+    if (!PALETTE_METHODS.includes(method)) {
+        throw new Error(`Unknown palette method "${method}"`);
+    }
+    if (slots.length === 0) return slots;
+
+    if (method === 'duotone') {
+        const [dark, light] = (colors.length >= 2 ? colors : ['#000000', '#ffffff']).map(hexToRgb);
+        slots.forEach(slot => {
+            const t = (slot.r * 0.299 + slot.g * 0.587 + slot.b * 0.114) / 255;
+            slot.r = Math.round(dark.r + (light.r - dark.r) * t);
+            slot.g = Math.round(dark.g + (light.g - dark.g) * t);
+            slot.b = Math.round(dark.b + (light.b - dark.b) * t);
+        });
+        return slots;
+    }
+
+    let palette;
+    if (method === 'fixed') {
+        palette = colors.map(hexToRgb);
+    } else {
+        const sample = sampleSlots(slots, FIT_SAMPLE, createRandom(seed));
+        palette = method === 'kmeans' ? kMeans(sample, count, createRandom(seed)) : medianCut(sample, count);
+    }
+    if (palette.length === 0) return slots;
+
+    const labs = palette.map(rgbToLab);
+    const nearest = new Map(); // Packed RGB -> palette colour, as many slots share a colour
+    slots.forEach(slot => {
+        const key = (slot.r << 16) | (slot.g << 8) | slot.b;
+        let match = nearest.get(key);
+        if (!match) {
+            const lab = rgbToLab(slot);
+            let best = Infinity;
+            labs.forEach((candidate, i) => {
+                const d = deltaE(lab, candidate);
+                if (d < best) {
+                    best = d;
+                    match = palette[i];
+                }
+            });
+            nearest.set(key, match);
+        }
+        slot.r = match.r;
+        slot.g = match.g;
+        slot.b = match.b;
+    });
+    return slots;
+}
+
+function sampleSlots(slots, limit, random) {
+    if (slots.length <= limit) return slots;
+    return Array.from({ length: limit }, () => slots[Math.floor(random() * slots.length)]);
+}
+
+// k-means in CIELAB, seeded with k-means++ so the starting centres are spread out
+function kMeans(slots, count, random) {
+    const points = slots.map(rgbToLab);
+    const centres = [points[Math.floor(random() * points.length)]];
+    const distance = new Float64Array(points.length);
+    while (centres.length < Math.min(count, points.length)) {
+        let total = 0;
+        points.forEach((point, i) => {
+            distance[i] = Math.min(...centres.map(centre => deltaE(point, centre))) ** 2;
+            total += distance[i];
+        });
+        if (total === 0) break; // Fewer distinct colours than centres
+        let pick = random() * total;
+        let i = 0;
+        while (pick > distance[i] && i < points.length - 1) {
+            pick -= distance[i];
+            i++;
+        }
+        centres.push(points[i]);
+    }
+
+    const owner = new Int32Array(points.length);
+    for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+        points.forEach((point, i) => {
+            let best = Infinity;
+            centres.forEach((centre, c) => {
+                const d = deltaE(point, centre);
+                if (d < best) {
+                    best = d;
+                    owner[i] = c;
+                }
+            });
+        });
+        const sums = centres.map(() => [0, 0, 0, 0]);
+        points.forEach((point, i) => {
+            const sum = sums[owner[i]];
+            sum[0] += point[0];
+            sum[1] += point[1];
+            sum[2] += point[2];
+            sum[3]++;
+        });
+        sums.forEach((sum, c) => {
+            if (sum[3] > 0) centres[c] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+        });
+    }
+    return centres.map(labToRgb);
+}
+
+// Median cut in RGB: repeatedly splits the box with the widest channel range at its median
+function medianCut(slots, count) {
+    const channels = ['r', 'g', 'b'];
+    const range = (box, channel) => {
+        let min = 255;
+        let max = 0;
+        box.forEach(slot => {
+            min = Math.min(min, slot[channel]);
+            max = Math.max(max, slot[channel]);
+        });
+        return max - min;
+    };
+
+    const boxes = [slots.slice()];
+    while (boxes.length < count) {
+        let widest = null;
+        boxes.forEach((box, i) => {
+            if (box.length < 2) return;
+            channels.forEach(channel => {
+                const spread = range(box, channel);
+                if (spread > 0 && (!widest || spread > widest.spread)) widest = { i, channel, spread };
+            });
+        });
+        if (!widest) break; // Every box is a single colour
+        const box = boxes[widest.i];
+        box.sort((a, b) => a[widest.channel] - b[widest.channel]);
+        const half = Math.ceil(box.length / 2);
+        boxes.splice(widest.i, 1, box.slice(0, half), box.slice(half));
+    }
+
+    return boxes.map(box => {
+        const mean = { r: 0, g: 0, b: 0 };
+        box.forEach(slot => {
+            mean.r += slot.r;
+            mean.g += slot.g;
+            mean.b += slot.b;
+        });
+        return { r: Math.round(mean.r / box.length), g: Math.round(mean.g / box.length), b: Math.round(mean.b / box.length) };
+    });
+}
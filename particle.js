@@ -0,0 +1,210 @@
+/**
+ * Pixel Morph - Particles
+ * A single morphing particle and the replacement variant used for colour convergence.
+ */
+
+import { SpringMotion } from './motion.js';
+import { ParticleStore, FLOAT_FIELDS } from './particleStore.js';
+
+const defaultMotion = new SpringMotion();
+
+// Parses "#rrggbb", "rgb(...)" and "rgba(...)" strings into channel values
+export function parseColor(color) {
+    if (color.startsWith('rgb')) {
+        const matches = color.match(/[\d.]+/g);
+        return {
+            r: parseInt(matches[0]),
+            g: parseInt(matches[1]),
+            b: parseInt(matches[2]),
+            a: matches[3] ? parseFloat(matches[3]) : 1.0
+        };
+    }
+    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(color);
+    return result ? {
+        r: parseInt(result[1], 16),
+        g: parseInt(result[2], 16),
+        b: parseInt(result[3], 16),
+        a: 1.0
+    } : { r: 255, g: 255, b: 255, a: 1.0 };
+}
+
+export class Particle {
+    // Pass the engine's ParticleStore to add the particle to it; without one the particle
+    // gets storage of its own
+    constructor(x, y, targetX, targetY, color, delay, random = Math.random, store = new ParticleStore(1)) {
+        this.store = store;
+        this.index = store.allocate(this);
+        this.random = random; // Shared seeded generator so runs are reproducible
+        this.x = x;
+        this.y = y;
+        this.originX = x; // Where it was spawned, which a reversed morph returns it to
+        this.originY = y;
+        this.targetX = targetX;
+        this.targetY = targetY;
+        this.color = color;
+        this.vx = (random() - 0.5) * 5;
+        this.vy = (random() - 0.5) * 5;
+        this.size = 2;
+        this.delay = delay;
+        this.morphed = false;
+        this.slot = null; // Target pool slot assigned by the engine
+        this.opacity = 1;
+        this.fading = false; // Set when the particle is no longer needed and should fade away
+        this.leg = null; // Motion model state for the current trip to the target
+        // Varied ease for natural staggered arrival
+        this.ease = 0.02 + random() * 0.05;
+        this.friction = 0.85 + random() * 0.1;
+        this.rgb = this.parseRgb(color);
+        // The colour it was drawn with, which colour transitions blend from (see engine.js)
+        this.drawnColor = color;
+        this.drawnRgb = this.rgb;
+        this.transition = null;
+    }
+
+    parseRgb(color) {
+        return parseColor(color);
+    }
+
+    get rgb() {
+        return this._rgb;
+    }
+
+    set rgb(rgb) {
+        this._rgb = rgb;
+        const offset = this.index * 4;
+        const colors = this.store.colors;
+        colors[offset] = rgb.r;
+        colors[offset + 1] = rgb.g;
+        colors[offset + 2] = rgb.b;
+        colors[offset + 3] = Math.round(rgb.a * 255);
+    }
+
+    get morphed() {
+        return this.store.morphed[this.index] === 1;
+    }
+
+    set morphed(value) {
+        this.store.morphed[this.index] = value ? 1 : 0;
+    }
+
+    get fading() {
+        return this.store.fading[this.index] === 1;
+    }
+
+    set fading(value) {
+        this.store.fading[this.index] = value ? 1 : 0;
+    }
+
+    // Moves the particle's state out of a shared store (called when the store drops it)
+    detach() {
+        const own = new ParticleStore(1);
+        this.store.copySlot(this.index, own, own.allocate(this));
+        this.store = own;
+        this.index = 0;
+    }
+
+    // `forces` are the enabled ForceFields to compose into this step; `motion` is the
+    // model (see motion.js) that moves the particle once its delay has passed
+    update(currentFrame, morphStartFrame, forces = [], motion = defaultMotion) {
+        let knockedLoose = false;
+        if (this.morphed) {
+            // Stop processing if already at target, unless a force knocks the particle loose
+            if (!forces.some(f => f.disturbs(this.x, this.y))) return;
+            this.morphed = false;
+            knockedLoose = true;
+        }
+        if (currentFrame < morphStartFrame + this.delay) return;
+
+        if (!this.leg) {
+            motion.begin(this, currentFrame);
+            // A particle knocked off its target only recovers; it doesn't replay the whole leg
+            if (knockedLoose) this.leg.frame = -Infinity;
+        }
+        motion.step(this, currentFrame, forces, knockedLoose);
+    }
+
+    // Snaps onto the target and stops
+    settle() {
+        this.x = this.targetX;
+        this.y = this.targetY;
+        this.vx = 0;
+        this.vy = 0;
+        this.morphed = true;
+    }
+
+    // New method to update particle's properties for replacement logic
+    updateTarget(px, py, newColor, delay, newTargetX, newTargetY) {
+        this.x = px;
+        this.y = py;
+        this.targetX = newTargetX;
+        this.targetY = newTargetY;
+        this.color = newColor;
+        this.rgb = this.parseRgb(newColor);
+        this.delay = delay; // Reset delay for the new morph
+        this.morphed = false; // Particle is no longer morphed, needs to move to new target
+        this.vx = (this.random() - 0.5) * 5; // Give it some initial velocity
+        this.vy = (this.random() - 0.5) * 5;
+        this.progress = 0; // Reset progress if used for other animations
+        this.leg = null; // Start a fresh leg with the current motion model
+    }
+
+    // Eases the particle's colour toward an { r, g, b } target (used by live video targets)
+    blendColor(target, amount) {
+        const dr = target.r - this.rgb.r;
+        const dg = target.g - this.rgb.g;
+        const db = target.b - this.rgb.b;
+        if (Math.abs(dr) + Math.abs(dg) + Math.abs(db) < 3) return;
+
+        this.rgb = {
+            r: Math.round(this.rgb.r + dr * amount),
+            g: Math.round(this.rgb.g + dg * amount),
+            b: Math.round(this.rgb.b + db * amount),
+            a: this.rgb.a
+        };
+        this.color = `rgba(${this.rgb.r},${this.rgb.g},${this.rgb.b},${this.rgb.a})`;
+    }
+
+    // Sets the colour `amount` of the way from `from` to `to` (both { r, g, b, a })
+    mixColor(from, to, amount) {
+        this.rgb = {
+            r: Math.round(from.r + (to.r - from.r) * amount),
+            g: Math.round(from.g + (to.g - from.g) * amount),
+            b: Math.round(from.b + (to.b - from.b) * amount),
+            a: Math.round((from.a + (to.a - from.a) * amount) * 100) / 100
+        };
+        this.color = `rgba(${this.rgb.r},${this.rgb.g},${this.rgb.b},${this.rgb.a})`;
+    }
+
+    draw(ctx) {
+        ctx.fillStyle = this.color;
+        if (this.opacity < 1) {
+            ctx.globalAlpha = this.opacity;
+            ctx.fillRect(this.x, this.y, this.size, this.size);
+            ctx.globalAlpha = 1;
+        } else {
+            ctx.fillRect(this.x, this.y, this.size, this.size);
+        }
+    }
+}
+
+// Position, velocity and the other numeric fields live in the particle's store
+FLOAT_FIELDS.forEach(field => {
+    Object.defineProperty(Particle.prototype, field, {
+        get() {
+            return this.store[field][this.index];
+        },
+        set(value) {
+            this.store[field][this.index] = value;
+        }
+    });
+});
+
+// Represents a particle that will replace another when it finishes morphing
+export class ReplacementParticle extends Particle {
+    constructor(x, y, targetX, targetY, color, delay, targetSlot, particleToReplace, random = Math.random, store) {
+        super(x, y, targetX, targetY, color, delay, random, store);
+        this.targetSlot = targetSlot; // The target pool slot this particle is aiming for
+        this.particleToReplace = particleToReplace; // The old particle to remove when we finish
+        this.isReplacement = true;
+    }
+}
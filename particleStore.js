@@ -0,0 +1,93 @@
+/**
+ * Pixel Morph - Particle Store
+ * Struct-of-arrays storage for particle state. Particle objects are thin views onto a
+ * slot here, so hot loops (physics, stats, GPU upload) can run over flat typed arrays.
+ */
+
+// Numeric per-particle fields, each kept in its own Float64Array
+export const FLOAT_FIELDS = ['x', 'y', 'vx', 'vy', 'targetX', 'targetY', 'originX', 'originY', 'delay', 'ease', 'friction', 'opacity', 'size'];
+
+export class ParticleStore {
+    constructor(capacity = 1024) {
+        this.capacity = capacity;
+        this.count = 0;
+        this.handles = []; // Particle view for each slot, in order; length === count
+        FLOAT_FIELDS.forEach(field => {
+            this[field] = new Float64Array(capacity);
+        });
+        this.morphed = new Uint8Array(capacity);
+        this.fading = new Uint8Array(capacity);
+        this.colors = new Uint8Array(capacity * 4); // RGBA, alpha scaled to 0..255
+    }
+
+    // Appends a slot for `particle` and returns its index
+    allocate(particle) {
+        if (this.count === this.capacity) {
+            this.grow(this.capacity * 2);
+        }
+        this.handles.push(particle);
+        return this.count++;
+    }
+
+    grow(capacity) {
+        FLOAT_FIELDS.forEach(field => {
+            const array = new Float64Array(capacity);
+            array.set(this[field]);
+            this[field] = array;
+        });
+        ['morphed', 'fading'].forEach(field => {
+            const array = new Uint8Array(capacity);
+            array.set(this[field]);
+            this[field] = array;
+        });
+        const colors = new Uint8Array(capacity * 4);
+        colors.set(this.colors);
+        this.colors = colors;
+        this.capacity = capacity;
+    }
+
+    // Copies slot `from` of this store into slot `to` of `target` (which may be this store)
+    copySlot(from, target, to) {
+        FLOAT_FIELDS.forEach(field => {
+            target[field][to] = this[field][from];
+        });
+        target.morphed[to] = this.morphed[from];
+        target.fading[to] = this.fading[from];
+        for (let k = 0; k < 4; k++) {
+            target.colors[to * 4 + k] = this.colors[from * 4 + k];
+        }
+    }
+
+    // Removes every particle matching `predicate`, keeping the rest in order. Removed
+    // particles are detached into storage of their own, so stale references stay valid.
+    removeWhere(predicate) {
+        let write = 0;
+        for (let read = 0; read < this.count; read++) {
+            const particle = this.handles[read];
+            if (predicate(particle)) {
+                particle.detach();
+                continue;
+            }
+            if (write !== read) {
+                this.copySlot(read, this, write);
+                particle.index = write;
+                this.handles[write] = particle;
+            }
+            write++;
+        }
+        this.count = write;
+        this.handles.length = write;
+    }
+
+    clear() {
+        this.handles.forEach(particle => particle.detach());
+        this.reset();
+    }
+
+    // Drops every particle without detaching it, for when nothing holds on to them any more
+    // (see MorphEngine.restore()); their views are left pointing at reused slots
+    reset() {
+        this.handles = [];
+        this.count = 0;
+    }
+}
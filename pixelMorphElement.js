@@ -0,0 +1,326 @@
+/**
+ * Pixel Morph - Web Component
+ * <pixel-morph>: a self-contained morph canvas to embed in any page. Each element has its
+ * own engine, sampler and animation loop, and only listens to its own canvas, so any
+ * number can share a page.
+ *
+ * Attributes: src, width, height, resolution, density, color, color-mode, trails, delay
+ * Methods:    setTarget(), autoDraw(), clear(), exportPNG()
+ * Events:     morphstart, progress ({ total, morphed, percent }), complete ({ total })
+ */
+
+import { MorphEngine } from './engine.js';
+import { TargetSampler } from './targetSampler.js';
+import { sampleTargetPool } from './sampling.js';
+import { fitImage, canvasPixelRatio } from './canvasSize.js';
+import { AutoDrawer } from './autoDraw.js';
+
+// How drawn particles are coloured: the `color` attribute, random colours, or the
+// target's own colours, blended in as the particles travel
+export const COLOR_MODES = ['brush', 'random', 'image'];
+
+const DEFAULTS = {
+    width: 600,
+    height: 450,
+    resolution: 2, // Sampling step in pixels
+    density: 20, // Particles per brush dab
+    delay: 3000 // Milliseconds after drawing stops before the morph starts
+};
+const BRUSH_RADIUS = 30;
+
+const template = document.createElement('template');
+template.innerHTML = `
+    <style>
+        :host { display: inline-block; line-height: 0; }
+        :host([hidden]) { display: none; }
+        canvas { display: block; max-width: 100%; height: auto; touch-action: none; cursor: crosshair; }
+    </style>
+    <canvas part="canvas"></canvas>
+`;
+
+function loadImage(src) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.crossOrigin = 'anonymous';
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new Error(`Could not load target image "${src}"`));
+        img.src = src;
+    });
+}
+
+export class PixelMorphElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['src', 'width', 'height', 'resolution', 'color-mode'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' }).appendChild(template.content.cloneNode(true));
+        this.canvas = this.shadowRoot.querySelector('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.engine = new MorphEngine({ width: DEFAULTS.width, height: DEFAULTS.height });
+        this.sampler = null; // Sampling worker, running while the element is in a document
+        this.source = null; // What setTarget() was last given
+        this.imageData = null; // The source rendered at the stage size
+        this.frame = null;
+        this.morphTimer = null;
+        this.drawing = false;
+        this.autoDrawer = new AutoDrawer(this.engine);
+        this.autoDrawDone = null; // Resolves the promise autoDraw() returned
+
+        ['morphstart', 'progress', 'complete'].forEach(type => {
+            this.engine.on(type, detail => this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true })));
+        });
+        this.canvas.addEventListener('pointerdown', e => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', e => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => this.onPointerUp());
+        this.canvas.addEventListener('pointercancel', () => this.onPointerUp());
+        this.resizeCanvas();
+    }
+
+    connectedCallback() {
+        if (!this.sampler) this.sampler = new TargetSampler();
+        if (this.frame === null) this.tick();
+    }
+
+    // Releases the worker and stops auto-draw (which only advances while the loop runs), so
+    // a removed element holds nothing live; the target and particles stay for a reconnect
+    disconnectedCallback() {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.cancelMorphTimer();
+        this.stopAutoDraw();
+        if (this.sampler) {
+            this.sampler.terminate();
+            this.sampler = null;
+        }
+    }
+
+    attributeChangedCallback(name, previous, value) {
+        if (previous === value) return;
+        switch (name) {
+            case 'src':
+                if (value) this.setTarget(value).catch(error => console.error(error));
+                break;
+            case 'width':
+            case 'height':
+                this.resize();
+                break;
+            case 'resolution':
+                this.resample();
+                break;
+            case 'color-mode':
+                this.engine.setColorTransition(this.colorMode === 'image' ? 'distance' : 'off', { blend: 1 });
+                break;
+        }
+    }
+
+    numberAttribute(name) {
+        const value = parseInt(this.getAttribute(name));
+        return value > 0 ? value : DEFAULTS[name];
+    }
+
+    get resolution() {
+        return this.numberAttribute('resolution');
+    }
+
+    get density() {
+        return this.numberAttribute('density');
+    }
+
+    get delay() {
+        const value = parseInt(this.getAttribute('delay'));
+        return value >= 0 ? value : DEFAULTS.delay;
+    }
+
+    get colorMode() {
+        const mode = this.getAttribute('color-mode');
+        return COLOR_MODES.includes(mode) ? mode : 'brush';
+    }
+
+    get trails() {
+        return this.hasAttribute('trails');
+    }
+
+    /**
+     * Morphs into a new target: an image URL, any canvas image source (image, canvas,
+     * bitmap) or ImageData, fitted inside the stage. Resolves with the number of target
+     * slots, or null if a newer target replaced it first; rejects if an image can't load.
+     */
+    async setTarget(source) {
+        this.source = source;
+        const imageData = await this.renderTarget(source);
+        if (source !== this.source) return null;
+        this.imageData = imageData;
+        return this.resample({ retarget: true });
+    }
+
+    // Samples the current target; `retarget` sends existing particles to it as a new morph
+    async resample({ retarget = false } = {}) {
+        if (!this.imageData) return null;
+        const step = this.resolution;
+        // Out of a document there's no worker, so sample here rather than start one
+        const pool = this.sampler ? await this.sampler.sample(this.imageData, { step }) : sampleTargetPool(this.imageData, { step });
+        if (!pool) return null; // Superseded by a newer request
+        if (retarget && this.engine.particles.length > 0) {
+            this.engine.retarget(pool, { step });
+        } else {
+            this.engine.updateTargetPool(pool, { step });
+        }
+        return pool.length;
+    }
+
+    // The source as ImageData the size of the stage, fitted with 'contain'
+    async renderTarget(source) {
+        const { width, height } = this.engine;
+        if (source instanceof ImageData && source.width === width && source.height === height) return source;
+        let image = source;
+        if (typeof source === 'string') {
+            image = await loadImage(source);
+        } else if (source instanceof ImageData) {
+            image = await createImageBitmap(source);
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        const { sx, sy, sw, sh, dx, dy, dw, dh } = fitImage('contain', image.naturalWidth || image.width, image.naturalHeight || image.height, width, height);
+        ctx.drawImage(image, sx, sy, sw, sh, dx, dy, dw, dh);
+        return ctx.getImageData(0, 0, width, height);
+    }
+
+    /**
+     * Draws for you from one of autoDraw.js's SPAWN_SOURCES, `rate` particles a frame,
+     * until `coverage` (0-1) of the target is filled, then starts the morph. Resolves once
+     * drawing ends, whether the morph started or drawing was interrupted.
+     */
+    autoDraw({ source = 'walkers', rate = 40, coverage = 0.9 } = {}) {
+        this.cancelMorphTimer();
+        this.stopAutoDraw();
+        this.engine.pause();
+        this.autoDrawer.start(source, {
+            rate,
+            coverage,
+            brush: { color: this.getAttribute('color') || '#ffffff', randomColors: this.colorMode === 'random' },
+            onDone: () => {
+                this.engine.startMorph();
+                this.stopAutoDraw();
+            }
+        });
+        return new Promise((resolve) => {
+            this.autoDrawDone = resolve;
+        });
+    }
+
+    stopAutoDraw() {
+        this.autoDrawer.stop();
+        if (this.autoDrawDone) {
+            this.autoDrawDone();
+            this.autoDrawDone = null;
+        }
+    }
+
+    // Removes every particle; the target stays
+    clear() {
+        this.cancelMorphTimer();
+        this.stopAutoDraw();
+        this.engine.clear();
+    }
+
+    // The picture as a PNG data URL, drawn afresh without trails at the stage size
+    exportPNG() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.engine.width;
+        canvas.height = this.engine.height;
+        this.engine.render(canvas.getContext('2d'));
+        return canvas.toDataURL('image/png');
+    }
+
+    spray(x, y) {
+        this.engine.spawn(x, y, {
+            color: this.getAttribute('color') || '#ffffff',
+            count: this.density,
+            radius: BRUSH_RADIUS,
+            randomColors: this.colorMode === 'random'
+        });
+    }
+
+    // Canvas coordinates of a pointer event
+    canvasPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (this.engine.width / rect.width),
+            y: (e.clientY - rect.top) * (this.engine.height / rect.height)
+        };
+    }
+
+    onPointerDown(e) {
+        if (e.button !== 0) return;
+        this.canvas.setPointerCapture(e.pointerId);
+        this.drawing = true;
+        this.cancelMorphTimer();
+        this.stopAutoDraw();
+        this.engine.pause();
+        const { x, y } = this.canvasPoint(e);
+        this.spray(x, y);
+    }
+
+    onPointerMove(e) {
+        if (!this.drawing) return;
+        const { x, y } = this.canvasPoint(e);
+        this.spray(x, y);
+    }
+
+    onPointerUp() {
+        if (!this.drawing) return;
+        this.drawing = false;
+        this.morphTimer = setTimeout(() => {
+            this.morphTimer = null;
+            this.engine.startMorph();
+        }, this.delay);
+    }
+
+    cancelMorphTimer() {
+        if (this.morphTimer) {
+            clearTimeout(this.morphTimer);
+            this.morphTimer = null;
+        }
+    }
+
+    resizeCanvas() {
+        const pixelRatio = canvasPixelRatio();
+        this.pixelRatio = pixelRatio;
+        this.canvas.width = Math.round(this.engine.width * pixelRatio);
+        this.canvas.height = Math.round(this.engine.height * pixelRatio);
+        this.canvas.style.width = `${this.engine.width}px`;
+    }
+
+    // Applies the width and height attributes, re-rendering the target at the new size
+    resize() {
+        const width = this.numberAttribute('width');
+        const height = this.numberAttribute('height');
+        if (width === this.engine.width && height === this.engine.height) return;
+        this.engine.resize(width, height);
+        this.resizeCanvas();
+        if (this.source !== null) {
+            const source = this.source;
+            this.renderTarget(source).then(imageData => {
+                if (source !== this.source) return;
+                this.imageData = imageData;
+                this.resample();
+            }).catch(error => console.error(error));
+        }
+    }
+
+    tick() {
+        this.frame = requestAnimationFrame(() => this.tick());
+        this.autoDrawer.tick();
+        this.engine.step();
+        this.engine.render(this.ctx, { trails: this.trails, pixelRatio: this.pixelRatio });
+    }
+}
+
+if (!customElements.get('pixel-morph')) {
+    customElements.define('pixel-morph', PixelMorphElement);
+}
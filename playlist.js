@@ -0,0 +1,89 @@
+/**
+ * Pixel Morph - Target Playlist
+ * Ordered list of target images that the morph cycles through once each one completes.
+ */
+
+export class TargetPlaylist {
+    constructor({ order = 'sequential', loop = true, random = Math.random } = {}) {
+        this.entries = [];
+        this.index = 0;
+        this.order = order;
+        this.loop = loop;
+        this.random = random;
+        this.resetShuffle();
+    }
+
+    resetShuffle() {
+        this.queue = []; // Remaining indices in the current shuffle pass
+        this.shuffleStarted = false;
+    }
+
+    get length() {
+        return this.entries.length;
+    }
+
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    add(entry) {
+        this.entries.push(entry);
+        this.resetShuffle();
+        return entry;
+    }
+
+    remove(index) {
+        if (index < 0 || index >= this.entries.length) return;
+        this.entries.splice(index, 1);
+        if (index < this.index || this.index >= this.entries.length) {
+            this.index = Math.max(0, this.index - 1);
+        }
+        this.resetShuffle();
+    }
+
+    clear() {
+        this.entries = [];
+        this.index = 0;
+        this.resetShuffle();
+    }
+
+    select(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        return this.current;
+    }
+
+    setOrder(order) {
+        this.order = order;
+        this.resetShuffle();
+    }
+
+    // Advances to the following entry, or returns null when the end is reached without looping
+    next() {
+        if (this.entries.length < 2) return null;
+
+        if (this.order === 'shuffle') {
+            if (this.queue.length === 0) {
+                if (this.shuffleStarted && !this.loop) return null;
+                this.queue = this.shuffledIndices();
+                this.shuffleStarted = true;
+            }
+            return this.select(this.queue.shift());
+        }
+
+        if (this.index + 1 >= this.entries.length) {
+            return this.loop ? this.select(0) : null;
+        }
+        return this.select(this.index + 1);
+    }
+
+    // Every other entry once, in random order, so no image repeats before all have shown
+    shuffledIndices() {
+        const indices = this.entries.map((_, i) => i).filter(i => i !== this.index);
+        for (let i = indices.length - 1; i > 0; i--) {
+            const j = Math.floor(this.random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        return indices;
+    }
+}
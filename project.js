@@ -0,0 +1,156 @@
+/**
+ * Pixel Morph - Project Files
+ * Versioned save format for a whole session: the particles, target images, control
+ * settings and brush strokes. Used for Save/Open and for the IndexedDB autosave.
+ */
+
+import { FLOAT_FIELDS } from './particleStore.js';
+import { validateStrokes } from './strokes.js';
+
+export const PROJECT_FORMAT = 'pixel-morph-project';
+export const PROJECT_VERSION = 1;
+
+// Fields newer than the first project files, and the field each defaults to when missing
+const LATER_FIELDS = { originX: 'x', originY: 'y' };
+
+// Decimal places kept per particle field; positions don't need sub-pixel noise
+const PRECISION = { ease: 5, friction: 5 };
+const DEFAULT_PRECISION = 2;
+
+function round(value, places) {
+    const scale = 10 ** places;
+    return Math.round(value * scale) / scale;
+}
+
+// Turns an engine snapshot() into plain JSON arrays
+function encodeParticles(snapshot) {
+    const particles = { count: snapshot.count };
+    FLOAT_FIELDS.forEach(field => {
+        const places = PRECISION[field] ?? DEFAULT_PRECISION;
+        particles[field] = Array.from(snapshot.fields[field], value => round(value, places));
+    });
+    particles.color = snapshot.colors.slice();
+    particles.drawnColor = snapshot.drawnColors.slice();
+    ['morphed', 'fading', 'slotX', 'slotY', 'occupies', 'replaces'].forEach(field => {
+        particles[field] = Array.from(snapshot[field]);
+    });
+    return particles;
+}
+
+// The inverse of encodeParticles, giving something engine.restore() accepts
+export function decodeParticles(particles) {
+    const snapshot = {
+        count: particles.count,
+        fields: {},
+        colors: particles.color,
+        drawnColors: particles.drawnColor, // Missing from older files
+        morphed: Uint8Array.from(particles.morphed),
+        fading: Uint8Array.from(particles.fading),
+        slotX: Int32Array.from(particles.slotX),
+        slotY: Int32Array.from(particles.slotY),
+        occupies: Uint8Array.from(particles.occupies),
+        replaces: Int32Array.from(particles.replaces)
+    };
+    FLOAT_FIELDS.forEach(field => {
+        snapshot.fields[field] = Float64Array.from(particles[field] ?? particles[LATER_FIELDS[field]]);
+    });
+    return snapshot;
+}
+
+/**
+ * Builds a project object (JSON-serialisable):
+ *  - engine:   the MorphEngine whose particles, seed and canvas size are saved
+ *  - targets:  image sources (data or http URLs) in playlist order, and targetIndex
+ *  - settings: control values keyed by control name
+ *  - strokes:  recorded brush strokes (see strokes.js)
+ */
+export function createProject({ engine, targets, targetIndex = 0, settings, strokes }) {
+    return {
+        format: PROJECT_FORMAT,
+        version: PROJECT_VERSION,
+        savedAt: new Date().toISOString(),
+        seed: engine.seed,
+        canvas: { width: engine.width, height: engine.height },
+        targets: targets.slice(),
+        targetIndex,
+        settings: { ...settings },
+        strokes: strokes.map(stroke => ({ ...stroke, points: stroke.points.map(point => point.slice()) })),
+        particles: encodeParticles(engine.snapshot())
+    };
+}
+
+function fail(message) {
+    throw new Error(`Corrupt project file: ${message}`);
+}
+
+function checkNumbers(array, count, name) {
+    if (!Array.isArray(array) || array.length !== count) {
+        fail(`particles.${name} should list ${count} values`);
+    }
+    for (let i = 0; i < array.length; i++) {
+        if (typeof array[i] !== 'number' || !Number.isFinite(array[i])) {
+            fail(`particles.${name}[${i}] is not a number`);
+        }
+    }
+}
+
+/**
+ * Validates a project (a JSON string or an already-parsed object) and returns it.
+ * Throws an Error whose message says what is wrong: not a project at all, saved by a
+ * newer version, or which part is corrupt.
+ */
+export function parseProject(input) {
+    let project = input;
+    if (typeof input === 'string') {
+        try {
+            project = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Not a Pixel Morph project: the file is not valid JSON (${error.message})`);
+        }
+    }
+
+    if (!project || typeof project !== 'object' || project.format !== PROJECT_FORMAT) {
+        throw new Error('Not a Pixel Morph project file');
+    }
+    if (!Number.isInteger(project.version) || project.version < 1) {
+        fail('missing or invalid version');
+    }
+    if (project.version > PROJECT_VERSION) {
+        throw new Error(`This project was saved by a newer version of Pixel Morph (format v${project.version}); this version can open up to v${PROJECT_VERSION}`);
+    }
+
+    const { canvas, targets, settings, strokes, particles } = project;
+    if (!canvas || !Number.isInteger(canvas.width) || !Number.isInteger(canvas.height) || canvas.width < 1 || canvas.height < 1) {
+        fail('canvas size is missing');
+    }
+    if (!Array.isArray(targets) || targets.some(src => typeof src !== 'string')) {
+        fail('targets should be a list of image sources');
+    }
+    if (!Number.isInteger(project.targetIndex) || (targets.length > 0 && (project.targetIndex < 0 || project.targetIndex >= targets.length))) {
+        fail('targetIndex is out of range');
+    }
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        fail('settings should be an object');
+    }
+    validateStrokes(strokes, fail);
+
+    if (!particles || !Number.isInteger(particles.count) || particles.count < 0) {
+        fail('particle count is missing');
+    }
+    const count = particles.count;
+    FLOAT_FIELDS.concat(['morphed', 'fading', 'slotX', 'slotY', 'occupies', 'replaces']).forEach(field => {
+        if (field in LATER_FIELDS && particles[field] === undefined) return;
+        checkNumbers(particles[field], count, field);
+    });
+    if (!Array.isArray(particles.color) || particles.color.length !== count || particles.color.some(c => typeof c !== 'string')) {
+        fail(`particles.color should list ${count} colours`);
+    }
+    if (particles.drawnColor !== undefined && (!Array.isArray(particles.drawnColor) || particles.drawnColor.length !== count || particles.drawnColor.some(c => typeof c !== 'string'))) {
+        fail(`particles.drawnColor should list ${count} colours`);
+    }
+    if (particles.replaces.some(j => j >= count || j < -1)) {
+        fail('a replacement refers to a particle that does not exist');
+    }
+
+    return project;
+}
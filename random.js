@@ -0,0 +1,29 @@
+/**
+ * Pixel Morph - Seeded Random
+ * Small deterministic PRNG so a given seed and input always reproduce the same simulation.
+ */
+
+// Mulberry32: fast 32-bit generator, good enough for particle jitter
+export function createRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6d2b79f5) | 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+// Accepts numbers or strings (e.g. from a ?seed= URL parameter) and folds them to 32 bits
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+    }
+    return h >>> 0;
+}
@@ -0,0 +1,125 @@
+/**
+ * Pixel Morph - Animation Recorder
+ * Captures frames from the main canvas and encodes them as an animated GIF or WebM video.
+ * Sizes are relative to the canvas's CSS size (`width` × `height`, defaulting to its
+ * pixel size), so a HiDPI canvas records at the same size as a normal one.
+ */
+
+import { GifEncoder } from './gifEncoder.js';
+
+// Shortest frame delay GifEncoder writes, in milliseconds (browsers slow down faster frames)
+const MIN_GIF_DELAY = 20;
+
+export class AnimationRecorder {
+    constructor(sourceCanvas, options = {}) {
+        this.source = sourceCanvas;
+        this.format = options.format || 'gif';
+        this.fps = options.fps || 15;
+        this.maxDuration = (options.maxDuration || 10) * 1000;
+        this.loop = options.loop !== false;
+        this.scale = options.scale || 1;
+        // Optional `render(ctx)` that draws each frame at full size instead of copying the
+        // visible canvas, for recording at a higher resolution than the screen's
+        this.render = options.render || null;
+
+        // Frames are copied from the visible canvas, so motion trails are exported exactly as shown
+        this.frameCanvas = document.createElement('canvas');
+        this.frameCanvas.width = Math.max(1, Math.round((options.width || sourceCanvas.width) * this.scale));
+        this.frameCanvas.height = Math.max(1, Math.round((options.height || sourceCanvas.height) * this.scale));
+        this.frameCtx = this.frameCanvas.getContext('2d', { willReadFrequently: this.format === 'gif' });
+
+        this.startTime = null;
+        this.lastCaptureTime = -Infinity;
+        // The latest GIF frame waits here until the next capture, so its delay can be the
+        // time it was really on screen rather than the nominal 1000 / fps
+        this.pendingFrame = null;
+        this.writtenTime = 0; // Milliseconds of GIF written so far, from the first frame
+        this.isRecording = false;
+    }
+
+    static isWebmSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            AnimationRecorder.getWebmMimeType() !== null;
+    }
+
+    static getWebmMimeType() {
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+
+    start() {
+        if (this.format === 'webm') {
+            const stream = this.frameCanvas.captureStream(this.fps);
+            this.chunks = [];
+            this.mediaRecorder = new MediaRecorder(stream, { mimeType: AnimationRecorder.getWebmMimeType() });
+            this.mediaRecorder.ondataavailable = (e) => {
+                if (e.data.size > 0) this.chunks.push(e.data);
+            };
+            this.mediaRecorder.start();
+        } else {
+            this.encoder = new GifEncoder(this.frameCanvas.width, this.frameCanvas.height, { loop: this.loop });
+        }
+        this.isRecording = true;
+    }
+
+    // Called once per animation frame; returns false once the duration cap has been reached
+    captureFrame(now) {
+        if (!this.isRecording) return false;
+        if (this.startTime === null) this.startTime = now;
+        if (now - this.startTime > this.maxDuration) return false;
+
+        // Rendered frames are drawn every time, so trails build up as on screen
+        if (this.render) this.render(this.frameCtx);
+
+        const interval = 1000 / this.fps;
+        if (now - this.lastCaptureTime < interval) return true;
+        this.lastCaptureTime = now;
+
+        if (!this.render) {
+            this.frameCtx.drawImage(this.source, 0, 0, this.frameCanvas.width, this.frameCanvas.height);
+        }
+
+        if (this.format === 'gif') {
+            this.flushFrame(now - this.startTime);
+            this.pendingFrame = this.frameCtx.getImageData(0, 0, this.frameCanvas.width, this.frameCanvas.height);
+        }
+        return true;
+    }
+
+    // Writes the waiting GIF frame, shown until `time` (ms from the first capture). Delays
+    // are rounded to the GIF's centiseconds against the total, so rounding doesn't drift.
+    flushFrame(time) {
+        if (!this.pendingFrame) return;
+        const delay = Math.max(MIN_GIF_DELAY, Math.round((time - this.writtenTime) / 10) * 10);
+        this.encoder.addFrame(this.pendingFrame.data, delay);
+        this.writtenTime += delay;
+        this.pendingFrame = null;
+    }
+
+    finish() {
+        this.isRecording = false;
+
+        if (this.format === 'webm') {
+            return new Promise((resolve) => {
+                this.mediaRecorder.onstop = () => {
+                    resolve(new Blob(this.chunks, { type: 'video/webm' }));
+                };
+                this.mediaRecorder.stop();
+            });
+        }
+
+        // The last frame has no successor, so it gets the nominal interval
+        this.flushFrame(this.writtenTime + 1000 / this.fps);
+        return Promise.resolve(new Blob([this.encoder.finish()], { type: 'image/gif' }));
+    }
+
+    cancel() {
+        this.isRecording = false;
+        if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+            this.mediaRecorder.stop();
+        }
+        this.encoder = null;
+        this.pendingFrame = null;
+    }
+}
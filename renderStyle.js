@@ -0,0 +1,172 @@
+/**
+ * Pixel Morph - Render Styles
+ * How particles are drawn: squares, circles, stars, brightness-mapped glyphs or tinted
+ * sprites, optionally with additive glow and sizes that follow brightness or grid spacing.
+ */
+
+export const SHAPES = ['square', 'circle', 'star', 'glyph', 'sprite'];
+
+// 'fixed' uses `size`; 'brightness' scales it by the target colour (0.5x dark to 1.5x
+// bright); 'step' grows it to the sampling step so coarse grids don't show gaps
+export const SIZE_MODES = ['fixed', 'brightness', 'step'];
+
+// Glyph ramps, darkest to brightest (for ASCII-art style mapping)
+export const GLYPH_SETS = {
+    ascii: ' .:-=+*#%@',
+    blocks: ' ░▒▓█',
+    moon: '🌑🌘🌗🌖🌕'
+};
+
+// Tinted sprites are cached at this resolution and scaled when drawn
+const SPRITE_CACHE_SIZE = 24;
+
+// Unit 5-point star, outer radius 1
+const STAR_POINTS = Array.from({ length: 10 }, (_, i) => {
+    const angle = -Math.PI / 2 + i * Math.PI / 5;
+    const radius = i % 2 === 0 ? 1 : 0.45;
+    return [Math.cos(angle) * radius, Math.sin(angle) * radius];
+});
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+export class RenderStyle {
+    constructor({
+        shape = 'square',
+        size = 2,
+        sizeMode = 'fixed',
+        glow = false,
+        glyphs = GLYPH_SETS.ascii,
+        sprite = null,
+        spriteTint = true
+    } = {}) {
+        if (!SHAPES.includes(shape)) {
+            throw new Error(`Unknown particle shape "${shape}"`);
+        }
+        if (!SIZE_MODES.includes(sizeMode)) {
+            throw new Error(`Unknown size mode "${sizeMode}"`);
+        }
+        this.shape = shape;
+        this.size = size;
+        this.sizeMode = sizeMode;
+        this.glow = glow; // Additive ('lighter') blending, so overlapping particles brighten
+        this.glyphs = Array.from(glyphs); // Split by code point so emoji stay whole
+        this.sprite = sprite; // Any CanvasImageSource
+        this.spriteTint = spriteTint;
+        this.tintCache = new Map();
+    }
+
+    // 0..1, judged by the target colour where there is one
+    brightnessOf(p) {
+        const c = p.slot || p.rgb;
+        return (c.r + c.g + c.b) / 765;
+    }
+
+    // `scale` multiplies the size for the whole frame (e.g. pulsing with audio)
+    sizeOf(p, step, scale = 1) {
+        switch (this.sizeMode) {
+            case 'brightness':
+                return this.size * (0.5 + this.brightnessOf(p)) * scale;
+            case 'step':
+                return Math.max(this.size, step) * scale;
+            default:
+                return this.size * scale;
+        }
+    }
+
+    // Draws every particle; `step` is the current sampling step of the target grid
+    draw(ctx, particles, { step = 2, scale = 1 } = {}) {
+        if (this.glow) ctx.globalCompositeOperation = 'lighter';
+        if (this.shape === 'glyph') {
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+        }
+
+        particles.forEach(p => {
+            p.size = this.sizeOf(p, step, scale);
+            if (this.shape === 'square') {
+                p.draw(ctx);
+                return;
+            }
+            if (p.opacity < 1) ctx.globalAlpha = p.opacity;
+            this.drawShape(ctx, p);
+            if (p.opacity < 1) ctx.globalAlpha = 1;
+        });
+
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    drawShape(ctx, p) {
+        const half = p.size / 2;
+        // Shapes are centred on the square a 'square' particle would cover
+        const cx = p.x + half;
+        const cy = p.y + half;
+
+        switch (this.shape) {
+            case 'circle':
+                ctx.fillStyle = p.color;
+                ctx.beginPath();
+                ctx.arc(cx, cy, half, 0, Math.PI * 2);
+                ctx.fill();
+                break;
+            case 'star': {
+                const radius = half * 1.3; // Stars look small next to a circle of the same size
+                ctx.fillStyle = p.color;
+                ctx.beginPath();
+                STAR_POINTS.forEach(([sx, sy], i) => {
+                    if (i === 0) ctx.moveTo(cx + sx * radius, cy + sy * radius);
+                    else ctx.lineTo(cx + sx * radius, cy + sy * radius);
+                });
+                ctx.closePath();
+                ctx.fill();
+                break;
+            }
+            case 'glyph': {
+                // Mapped by the target's brightness so the image reads as ASCII art
+                const brightness = this.brightnessOf(p);
+                const glyph = this.glyphs[Math.min(this.glyphs.length - 1, Math.floor(brightness * this.glyphs.length))];
+                if (!glyph || glyph === ' ') break;
+                ctx.fillStyle = p.color;
+                ctx.font = `${Math.max(4, p.size * 1.6)}px monospace`;
+                ctx.fillText(glyph, cx, cy);
+                break;
+            }
+            case 'sprite':
+                if (!this.sprite) {
+                    ctx.fillStyle = p.color;
+                    ctx.fillRect(p.x, p.y, p.size, p.size);
+                    break;
+                }
+                ctx.drawImage(this.spriteTint ? this.tinted(p.rgb) : this.sprite, p.x, p.y, p.size, p.size);
+                break;
+        }
+    }
+
+    // The sprite multiplied by a colour (quantised to 16 levels a channel to bound the cache)
+    tinted({ r, g, b }) {
+        const qr = r >> 4;
+        const qg = g >> 4;
+        const qb = b >> 4;
+        const key = (qr << 8) | (qg << 4) | qb;
+        let canvas = this.tintCache.get(key);
+        if (canvas) return canvas;
+
+        canvas = createCanvas(SPRITE_CACHE_SIZE, SPRITE_CACHE_SIZE);
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.sprite, 0, 0, SPRITE_CACHE_SIZE, SPRITE_CACHE_SIZE);
+        ctx.globalCompositeOperation = 'multiply';
+        ctx.fillStyle = `rgb(${qr * 17},${qg * 17},${qb * 17})`;
+        ctx.fillRect(0, 0, SPRITE_CACHE_SIZE, SPRITE_CACHE_SIZE);
+        // Multiply fills transparent areas too; restore the sprite's own alpha
+        ctx.globalCompositeOperation = 'destination-in';
+        ctx.drawImage(this.sprite, 0, 0, SPRITE_CACHE_SIZE, SPRITE_CACHE_SIZE);
+
+        this.tintCache.set(key, canvas);
+        return canvas;
+    }
+}
@@ -0,0 +1,304 @@
+/**
+ * Pixel Morph - Target Sampling
+ * Turns target ImageData into a pool of slots that particles can morph into.
+ */
+
+import { createRandom } from './random.js';
+import { SlotGrid } from './spatialIndex.js';
+import { quantizeSlots } from './palette.js';
+
+/**
+ * Which grid pixels become slots:
+ *  - grid:    every pixel that isn't background
+ *  - edges:   only pixels on outlines (local contrast of at least `edgeThreshold`)
+ *  - dither:  Floyd-Steinberg dithered points, denser where the image is darker
+ *  - stipple: blue-noise (Poisson-disk) points, spaced closer where the image is darker
+ *  - voronoi: stipple points relaxed onto the centroids of their density-weighted Voronoi cells
+ * Every mode picks from the same `step` grid, so slots always line up with grid lookups.
+ */
+export const SAMPLING_MODES = ['grid', 'edges', 'dither', 'stipple', 'voronoi'];
+
+// Modes quick enough to run on every video frame
+export const LIVE_SAMPLING_MODES = ['grid', 'edges', 'dither'];
+
+// Where the importance mask is fully painted, detail scores (and density) are multiplied
+// by 1 + MASK_BOOST, and scores raised by MASK_BONUS so flat painted areas also come first
+const MASK_BOOST = 3;
+const MASK_BONUS = 100;
+
+// Stippling keeps at least one point in this many cells' worth of area; lighter regions
+// are thinned at random rather than spaced further apart
+const STIPPLE_MIN_DENSITY = 1 / 16;
+
+// Lloyd relaxation rounds for weighted Voronoi stippling
+const VORONOI_ITERATIONS = 8;
+
+// Samples the image on a grid of `step` pixels and returns slots sorted by detail score
+export function sampleTargetPool(imageData, options = {}) {
+    const job = sampleTargetPoolIncrementally(imageData, { ...options, budget: Infinity });
+    let result = job.next();
+    while (!result.done) {
+        result = job.next();
+    }
+    return result.value;
+}
+
+/**
+ * Same scan as sampleTargetPool, but pauses after roughly `budget` grid pixels so the work
+ * can be spread across frames or chunks. Each pause yields the fraction of rows scanned;
+ * the finished pool is the generator's return value. Options:
+ *  - step:          grid spacing in pixels
+ *  - mode:          one of SAMPLING_MODES
+ *  - edgeThreshold: minimum local contrast for 'edges'
+ *  - invert:        dither/stipple/voronoi density follows brightness instead of darkness
+ *  - mask:          importance per pixel (0-255, width × height), raising detail scores and
+ *                   density where it's painted; null for none
+ *  - alphaThreshold: pixels this transparent or more are background
+ *  - keyColor:      { r, g, b } background colour to drop, within `keyTolerance` (RGB distance)
+ *  - palette:       recolours the slots (quantizeSlots() options from palette.js); null keeps
+ *                   the image's own colours
+ *  - seed:          seeds the random choices of 'stipple', 'voronoi' and adaptive palettes
+ */
+export function* sampleTargetPoolIncrementally(imageData, {
+    step = 2,
+    budget = 10000,
+    mode = 'grid',
+    edgeThreshold = 40,
+    invert = false,
+    mask = null,
+    alphaThreshold = 20,
+    keyColor = null,
+    keyTolerance = 60,
+    palette = null,
+    seed = 1
+} = {}) {
+    if (!SAMPLING_MODES.includes(mode)) {
+        throw new Error(`Unknown sampling mode "${mode}"`);
+    }
+    const { width, height, data } = imageData;
+    let pool = [];
+    const density = []; // Per slot: the share of nearby cells dither/stipple fill
+    let processed = 0;
+
+    for (let y = 1; y < height - 1; y += step) {
+        for (let x = 1; x < width - 1; x += step) {
+            const index = (y * width + x) * 4;
+            const r = data[index];
+            const g = data[index + 1];
+            const b = data[index + 2];
+            const a = data[index + 3];
+
+            const keyedOut = keyColor && Math.sqrt((r - keyColor.r) ** 2 + (g - keyColor.g) ** 2 + (b - keyColor.b) ** 2) <= keyTolerance;
+            if (a > alphaThreshold && !keyedOut) {
+                const brightness = (r + g + b) / 3;
+                // Calculate a "detail score" based on local contrast (Sobel-like)
+                // This highlights edges/features like eyes, nose, mouth
+                const left = (data[index - 4] + data[index - 3] + data[index - 2]) / 3;
+                const right = (data[index + 4] + data[index + 5] + data[index + 6]) / 3;
+                const up = (data[index - width * 4] + data[index - width * 4 + 1] + data[index - width * 4 + 2]) / 3;
+                const down = (data[index + width * 4] + data[index + width * 4 + 1] + data[index + width * 4 + 2]) / 3;
+
+                const contrast = Math.abs(left - right) + Math.abs(up - down);
+                if (mode === 'edges' && edgeContrast(data, width, height, x, y, step) < edgeThreshold) continue;
+
+                // Painted areas of the importance mask (faces, say) are filled first
+                const painted = mask ? mask[y * width + x] / 255 : 0;
+                const importance = 1 + MASK_BOOST * painted;
+                const tone = invert ? brightness / 255 : 1 - brightness / 255;
+
+                pool.push({
+                    x, y,
+                    r, g, b,
+                    score: contrast * importance + (brightness > 150 ? 50 : 0) + MASK_BONUS * painted,
+                    occupiedBy: null // Track which particle is filling this target
+                });
+                density.push(Math.min(1, tone * importance));
+            }
+        }
+
+        processed += Math.ceil((width - 2) / step);
+        if (processed >= budget) {
+            processed = 0;
+            yield y / height;
+        }
+    }
+
+    if (mode === 'dither') {
+        pool = ditherSlots(pool, density, { width, height, step });
+    } else if (mode === 'stipple') {
+        pool = stippleSlots(pool, density, { width, height, step, random: createRandom(seed) });
+    } else if (mode === 'voronoi') {
+        const seeds = stippleSlots(pool, density, { width, height, step, random: createRandom(seed) });
+        pool = relaxSlots(pool, density, seeds, { width, height });
+    }
+    if (palette) quantizeSlots(pool, { seed, ...palette });
+
+    // Sort pool by score: highest detail (face features) first
+    pool.sort((a, b) => b.score - a.score);
+    return pool;
+}
+
+// Contrast across the whole grid cell around (x, y), so outlines thinner than the grid
+// spacing aren't missed between samples
+function edgeContrast(data, width, height, x, y, step) {
+    const reach = Math.max(1, Math.floor(step / 2));
+    const brightnessAt = (px, py) => {
+        const index = (Math.min(height - 1, Math.max(0, py)) * width + Math.min(width - 1, Math.max(0, px))) * 4;
+        return (data[index] + data[index + 1] + data[index + 2]) / 3;
+    };
+    return Math.abs(brightnessAt(x - reach, y) - brightnessAt(x + reach, y)) + Math.abs(brightnessAt(x, y - reach) - brightnessAt(x, y + reach));
+}
+
+// Grid cell (column, row) of a slot, as one index into a `columns`-wide array
+function cellLayout(width, height, step) {
+    const columns = Math.ceil((width - 2) / step);
+    const rows = Math.ceil((height - 2) / step);
+    return { columns, rows, cellOf: slot => ((slot.y - 1) / step) * columns + (slot.x - 1) / step };
+}
+
+// Floyd-Steinberg error diffusion over the grid cells; background cells absorb no error
+function ditherSlots(pool, density, { width, height, step }) {
+    const { columns, rows, cellOf } = cellLayout(width, height, step);
+    const value = new Float32Array(columns * rows);
+    const slotAt = new Array(columns * rows).fill(null);
+    pool.forEach((slot, i) => {
+        const cell = cellOf(slot);
+        slotAt[cell] = slot;
+        value[cell] = density[i];
+    });
+
+    const kept = [];
+    const spread = (column, row, amount) => {
+        if (column < 0 || column >= columns || row >= rows) return;
+        const cell = row * columns + column;
+        if (slotAt[cell]) value[cell] += amount;
+    };
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            const slot = slotAt[row * columns + column];
+            if (!slot) continue;
+            const v = value[row * columns + column];
+            const on = v >= 0.5;
+            if (on) kept.push(slot);
+            const error = v - (on ? 1 : 0);
+            spread(column + 1, row, error * 7 / 16);
+            spread(column - 1, row + 1, error * 3 / 16);
+            spread(column, row + 1, error * 5 / 16);
+            spread(column + 1, row + 1, error * 1 / 16);
+        }
+    }
+    return kept;
+}
+
+// Poisson-disk points: cells are tried in random order and kept unless a kept cell lies
+// within 1 / √density cells, so darker regions pack tighter
+function stippleSlots(pool, density, { width, height, step, random }) {
+    const { columns, rows, cellOf } = cellLayout(width, height, step);
+    const taken = new Uint8Array(columns * rows);
+    const order = pool.map((_, i) => i);
+    for (let i = order.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+
+    return order.filter(i => {
+        let d = density[i];
+        if (d <= 0) return false;
+        if (d < STIPPLE_MIN_DENSITY) {
+            if (random() >= d / STIPPLE_MIN_DENSITY) return false;
+            d = STIPPLE_MIN_DENSITY;
+        }
+        const spacing2 = 1 / d;
+        const reach = Math.ceil(Math.sqrt(spacing2)) - 1;
+        const cell = cellOf(pool[i]);
+        const column = cell % columns;
+        const row = (cell - column) / columns;
+        for (let dy = -reach; dy <= reach; dy++) {
+            for (let dx = -reach; dx <= reach; dx++) {
+                if (dx * dx + dy * dy >= spacing2) continue;
+                const c = column + dx;
+                const r = row + dy;
+                if (c >= 0 && c < columns && r >= 0 && r < rows && taken[r * columns + c]) return false;
+            }
+        }
+        taken[cell] = 1;
+        return true;
+    }).map(i => pool[i]);
+}
+
+// Weighted Voronoi stippling (Secord 2002): each point moves to the density-weighted
+// centroid of the cells nearest it, a few times over, then snaps to the closest free slot
+function relaxSlots(pool, density, seeds, { width, height }) {
+    if (seeds.length === 0) return seeds;
+    const points = seeds.map(slot => ({ x: slot.x, y: slot.y }));
+    const sumX = new Float64Array(points.length);
+    const sumY = new Float64Array(points.length);
+    const sumWeight = new Float64Array(points.length);
+
+    for (let iteration = 0; iteration < VORONOI_ITERATIONS; iteration++) {
+        const grid = new SlotGrid(points, { width, height });
+        sumX.fill(0);
+        sumY.fill(0);
+        sumWeight.fill(0);
+        pool.forEach((slot, j) => {
+            const weight = density[j];
+            if (weight <= 0) return;
+            const i = grid.nearest(slot.x, slot.y);
+            sumX[i] += slot.x * weight;
+            sumY[i] += slot.y * weight;
+            sumWeight[i] += weight;
+        });
+        points.forEach((point, i) => {
+            if (sumWeight[i] === 0) return;
+            point.x = sumX[i] / sumWeight[i];
+            point.y = sumY[i] / sumWeight[i];
+        });
+    }
+
+    const slots = new SlotGrid(pool, { width, height });
+    const taken = new Uint8Array(pool.length);
+    const kept = [];
+    points.forEach(point => {
+        const j = slots.nearest(point.x, point.y, k => !taken[k]);
+        if (j < 0) return;
+        taken[j] = 1;
+        kept.push(pool[j]);
+    });
+    return kept;
+}
+
+// Flattens a pool into typed arrays so it can be transferred between threads cheaply
+export function packPool(pool) {
+    const count = pool.length;
+    const xs = new Uint16Array(count);
+    const ys = new Uint16Array(count);
+    const colors = new Uint8Array(count * 3);
+    const scores = new Float32Array(count);
+
+    pool.forEach((slot, i) => {
+        xs[i] = slot.x;
+        ys[i] = slot.y;
+        colors[i * 3] = slot.r;
+        colors[i * 3 + 1] = slot.g;
+        colors[i * 3 + 2] = slot.b;
+        scores[i] = slot.score;
+    });
+
+    return { xs, ys, colors, scores };
+}
+
+export function unpackPool({ xs, ys, colors, scores }) {
+    const pool = new Array(xs.length);
+    for (let i = 0; i < xs.length; i++) {
+        pool[i] = {
+            x: xs[i],
+            y: ys[i],
+            r: colors[i * 3],
+            g: colors[i * 3 + 1],
+            b: colors[i * 3 + 2],
+            score: scores[i],
+            occupiedBy: null
+        };
+    }
+    return pool;
+}
@@ -0,0 +1,46 @@
+/**
+ * Pixel Morph - Sampling Worker
+ * Runs the target scan and scoring off the main thread. A newer request supersedes any
+ * job still in progress; results come back as transferable typed arrays.
+ */
+
+import { sampleTargetPoolIncrementally, packPool } from './sampling.js';
+
+let currentJob = 0;
+
+self.onmessage = async (e) => {
+    const message = e.data;
+
+    if (message.type === 'cancel') {
+        if (message.id === currentJob) currentJob = 0;
+        return;
+    }
+    if (message.type !== 'sample') return;
+
+    const id = message.id;
+    currentJob = id;
+
+    const imageData = {
+        width: message.width,
+        height: message.height,
+        data: new Uint8ClampedArray(message.buffer)
+    };
+    const job = sampleTargetPoolIncrementally(imageData, { ...message.options, budget: 20000 });
+
+    let result = job.next();
+    while (!result.done) {
+        self.postMessage({ type: 'progress', id, progress: result.value });
+
+        // Let queued messages run so a newer request or a cancel can stop this job
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (currentJob !== id) return;
+
+        result = job.next();
+    }
+
+    const packed = packPool(result.value);
+    self.postMessage(
+        { type: 'done', id, ...packed },
+        [packed.xs.buffer, packed.ys.buffer, packed.colors.buffer, packed.scores.buffer]
+    );
+};
@@ -0,0 +1,236 @@
+/**
+ * Pixel Morph - Spatial Index
+ * A uniform grid over target slots, so the slots near a point can be found without
+ * scanning the whole pool.
+ */
+
+// Cells are sized to hold about this many slots on average
+const SLOTS_PER_CELL = 4;
+
+export class SlotGrid {
+    // `slots` are anything with x and y inside a `width` × `height` canvas
+    constructor(slots, { width, height }) {
+        this.slots = slots;
+        this.cellSize = Math.max(1, Math.sqrt(width * height * SLOTS_PER_CELL / Math.max(1, slots.length)));
+        this.columns = Math.max(1, Math.ceil(width / this.cellSize));
+        this.rows = Math.max(1, Math.ceil(height / this.cellSize));
+
+        // Counting sort into one flat list: cell c holds items[starts[c]] up to items[starts[c + 1]]
+        const cellCount = this.columns * this.rows;
+        const starts = new Uint32Array(cellCount + 1);
+        const cellOf = new Uint32Array(slots.length);
+        slots.forEach((slot, i) => {
+            cellOf[i] = this.cellIndex(slot.x, slot.y);
+            starts[cellOf[i] + 1]++;
+        });
+        for (let c = 0; c < cellCount; c++) {
+            starts[c + 1] += starts[c];
+        }
+        const fill = starts.slice(0, cellCount);
+        this.items = new Uint32Array(slots.length);
+        cellOf.forEach((cell, i) => {
+            this.items[fill[cell]++] = i;
+        });
+        this.starts = starts;
+    }
+
+    column(x) {
+        return Math.min(this.columns - 1, Math.max(0, Math.floor(x / this.cellSize)));
+    }
+
+    row(y) {
+        return Math.min(this.rows - 1, Math.max(0, Math.floor(y / this.cellSize)));
+    }
+
+    cellIndex(x, y) {
+        return this.row(y) * this.columns + this.column(x);
+    }
+
+    // Indices (into `slots`) of every slot in the square ring of cells `ring` cells out from
+    // (column, row), appended to `out`
+    collectRing(column, row, ring, out) {
+        for (let dy = -ring; dy <= ring; dy++) {
+            const r = row + dy;
+            if (r < 0 || r >= this.rows) continue;
+            const edge = Math.abs(dy) === ring;
+            for (let dx = -ring; dx <= ring; dx += edge || ring === 0 ? 1 : ring * 2) {
+                const c = column + dx;
+                if (c < 0 || c >= this.columns) continue;
+                const cell = r * this.columns + c;
+                for (let k = this.starts[cell]; k < this.starts[cell + 1]; k++) {
+                    out.push(this.items[k]);
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Indices of at least `count` slots around (x, y) (fewer only if the pool is smaller),
+     * gathered ring by ring outwards. They're roughly the nearest: a corner of the last
+     * ring can be further away than slots just outside it.
+     */
+    near(x, y, count, out = []) {
+        const column = this.column(x);
+        const row = this.row(y);
+        const maxRing = Math.max(this.columns, this.rows);
+        for (let ring = 0; out.length < count && ring <= maxRing; ring++) {
+            this.collectRing(column, row, ring, out);
+        }
+        return out;
+    }
+
+    // Index of the slot closest to (x, y) that passes `accept`, or -1 if none does
+    nearest(x, y, accept = () => true) {
+        const column = this.column(x);
+        const row = this.row(y);
+        const maxRing = Math.max(this.columns, this.rows);
+        const found = [];
+        let best = -1;
+        let bestDistance = Infinity;
+        for (let ring = 0; ring <= maxRing; ring++) {
+            // Nothing in a further ring can beat a slot already closer than that ring's inner edge
+            if (best >= 0 && (ring - 1) * this.cellSize > Math.sqrt(bestDistance)) break;
+            found.length = 0;
+            this.collectRing(column, row, ring, found);
+            found.forEach(i => {
+                const slot = this.slots[i];
+                const d = (slot.x - x) ** 2 + (slot.y - y) ** 2;
+                if (d < bestDistance && accept(i)) {
+                    bestDistance = d;
+                    best = i;
+                }
+            });
+        }
+        return best;
+    }
+}
+
+/**
+ * A kd-tree over slots that hands out the slot nearest a point, each one only once. Every
+ * subtree counts its slots still free, so searches skip regions already given out instead
+ * of wading through them - which a grid can't do once a dense cluster has emptied its
+ * surroundings.
+ */
+export class SlotTree {
+    // `slots` are anything with x and y
+    constructor(slots) {
+        this.slots = slots;
+        const n = slots.length;
+        // Node m covers positions lo to hi - 1 of `order` and holds the slot at m = (lo + hi) >>> 1,
+        // with the smaller coordinates (x at even depths, y at odd) to its left
+        this.order = new Uint32Array(n);
+        this.xs = new Float64Array(n);
+        this.ys = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            this.order[i] = i;
+        }
+        this.build(0, n, 0);
+        this.order.forEach((i, position) => {
+            this.xs[position] = slots[i].x;
+            this.ys[position] = slots[i].y;
+        });
+        this.free = new Uint32Array(n); // Free slots under node m
+        this.setFree(0, n);
+        this.taken = new Uint8Array(n); // By position
+    }
+
+    build(lo, hi, depth) {
+        if (hi - lo < 2) return;
+        const m = (lo + hi) >>> 1;
+        this.select(lo, hi - 1, m, depth % 2 === 0 ? 'x' : 'y');
+        this.build(lo, m, depth + 1);
+        this.build(m + 1, hi, depth + 1);
+    }
+
+    // Reorders order[lo..hi] so position k holds the slot that would be there if sorted by `axis`
+    select(lo, hi, k, axis) {
+        const { order, slots } = this;
+        while (lo < hi) {
+            const pivot = slots[order[(lo + hi) >>> 1]][axis];
+            let i = lo;
+            let j = hi;
+            while (i <= j) {
+                while (slots[order[i]][axis] < pivot) i++;
+                while (slots[order[j]][axis] > pivot) j--;
+                if (i <= j) {
+                    const swap = order[i];
+                    order[i] = order[j];
+                    order[j] = swap;
+                    i++;
+                    j--;
+                }
+            }
+            if (k <= j) {
+                hi = j;
+            } else if (k >= i) {
+                lo = i;
+            } else {
+                return;
+            }
+        }
+    }
+
+    setFree(lo, hi) {
+        if (lo >= hi) return;
+        const m = (lo + hi) >>> 1;
+        this.free[m] = hi - lo;
+        this.setFree(lo, m);
+        this.setFree(m + 1, hi);
+    }
+
+    /**
+     * Takes a free slot near (x, y) and returns its index (into `slots`), or -1 once none are
+     * left. With `slack` above 1 it may be up to that many times as far as the nearest, which
+     * spares the search from proving there's nothing closer along the edge of a taken region.
+     */
+    takeNearest(x, y, slack = 1) {
+        this.best = -1;
+        this.bestDistance = Infinity;
+        this.slackSquared = slack * slack;
+        this.search(x, y, 0, this.slots.length, 0);
+        const position = this.best;
+        if (position < 0) return -1;
+        this.take(position);
+        return this.order[position];
+    }
+
+    search(x, y, lo, hi, depth) {
+        if (lo >= hi) return;
+        const m = (lo + hi) >>> 1;
+        if (this.free[m] === 0) return;
+        if (!this.taken[m]) {
+            const d = (this.xs[m] - x) ** 2 + (this.ys[m] - y) ** 2;
+            if (d < this.bestDistance) {
+                this.bestDistance = d;
+                this.best = m;
+            }
+        }
+        const offset = depth % 2 === 0 ? x - this.xs[m] : y - this.ys[m];
+        // The far side is only worth a look if it could hold something closer (by the slack)
+        const worthCrossing = () => offset * offset * this.slackSquared < this.bestDistance;
+        if (offset < 0) {
+            this.search(x, y, lo, m, depth + 1);
+            if (worthCrossing()) this.search(x, y, m + 1, hi, depth + 1);
+        } else {
+            this.search(x, y, m + 1, hi, depth + 1);
+            if (worthCrossing()) this.search(x, y, lo, m, depth + 1);
+        }
+    }
+
+    take(position) {
+        this.taken[position] = 1;
+        let lo = 0;
+        let hi = this.slots.length;
+        while (lo < hi) {
+            const m = (lo + hi) >>> 1;
+            this.free[m]--;
+            if (position === m) return;
+            if (position < m) {
+                hi = m;
+            } else {
+                lo = m + 1;
+            }
+        }
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * Pixel Morph - Strokes
+ * Records brush strokes as timestamped point lists, replays them at their original
+ * speed or instantly, and reads/writes them as files or named gestures in localStorage.
+ */
+
+import { TOOLS } from './tools.js';
+
+export const STROKES_FORMAT = 'pixel-morph-strokes';
+export const STROKES_VERSION = 1;
+
+// Pause between strokes during replay; the time between strokes isn't recorded
+const STROKE_GAP = 250;
+
+const GESTURES_KEY = 'pixelMorphGestures';
+
+/**
+ * Collects strokes as they're drawn. Each stroke keeps the brush it was drawn with
+ * ({ tool, radius, color, density, randomColors, favorColors, tolerance }) and its points
+ * as [x, y, ms since the stroke started], plus pen pressure (1 = normal) when it isn't 1,
+ * in stage coordinates (the engine's, whatever the screen's pixel density). Strokes without
+ * a tool are spray strokes. Several strokes can be in progress at once (one per pointer).
+ */
+export class StrokeRecorder {
+    constructor({ now = () => performance.now() } = {}) {
+        this.now = now;
+        this.strokes = [];
+        this.active = new Map(); // Stroke in progress -> time it started
+    }
+
+    begin(brush) {
+        const stroke = { ...brush, points: [] };
+        this.active.set(stroke, this.now());
+        this.strokes.push(stroke);
+        return stroke;
+    }
+
+    add(stroke, x, y, pressure = 1) {
+        if (!this.active.has(stroke)) return;
+        const time = Math.round(this.now() - this.active.get(stroke));
+        const point = [Math.round(x * 10) / 10, Math.round(y * 10) / 10, time];
+        if (pressure !== 1) point.push(Math.round(pressure * 100) / 100);
+        stroke.points.push(point);
+    }
+
+    // Returns the finished stroke, or null if it wasn't in progress
+    end(stroke) {
+        if (!this.active.delete(stroke)) return null;
+        return stroke;
+    }
+
+    // Finished strokes only
+    get completed() {
+        return this.strokes.filter(stroke => !this.active.has(stroke));
+    }
+
+    set(strokes) {
+        this.strokes = strokes;
+        this.active.clear();
+    }
+
+    clear() {
+        this.set([]);
+    }
+}
+
+/**
+ * Replays strokes through a `spawn(stroke, index)` callback, once per point. Instant replays spawn
+ * everything at once; otherwise call tick() every frame and points come out at the
+ * pace they were drawn. `onDone` runs once the last point has been spawned.
+ */
+export class StrokePlayer {
+    constructor() {
+        this.schedule = null;
+    }
+
+    get playing() {
+        return this.schedule !== null;
+    }
+
+    play(strokes, { spawn, instant = false, now = performance.now(), onDone = () => {} }) {
+        this.stop();
+        // Flatten to one timeline, laying strokes end to end
+        const schedule = [];
+        let offset = 0;
+        strokes.forEach(stroke => {
+            stroke.points.forEach(([, , time], index) => {
+                schedule.push({ at: offset + time, stroke, index });
+            });
+            if (stroke.points.length > 0) {
+                offset += stroke.points[stroke.points.length - 1][2] + STROKE_GAP;
+            }
+        });
+        schedule.sort((a, b) => a.at - b.at);
+
+        this.schedule = schedule;
+        this.next = 0;
+        this.startedAt = now;
+        this.spawn = spawn;
+        this.onDone = onDone;
+        if (instant) {
+            this.tick(Infinity);
+        }
+    }
+
+    tick(now = performance.now()) {
+        if (!this.schedule) return;
+        const elapsed = now - this.startedAt;
+        while (this.next < this.schedule.length && this.schedule[this.next].at <= elapsed) {
+            const { stroke, index } = this.schedule[this.next++];
+            this.spawn(stroke, index);
+        }
+        if (this.next >= this.schedule.length) {
+            const onDone = this.onDone;
+            this.stop();
+            onDone();
+        }
+    }
+
+    stop() {
+        this.schedule = null;
+        this.spawn = null;
+        this.onDone = null;
+    }
+}
+
+/**
+ * Checks a list of strokes, throwing with `fail(message)` at the first problem.
+ * Shared with project files, which embed the same stroke format.
+ */
+export function validateStrokes(strokes, fail) {
+    if (!Array.isArray(strokes)) {
+        fail('strokes should be a list');
+    }
+    strokes.forEach((stroke, i) => {
+        if (!stroke || !Array.isArray(stroke.points) || stroke.points.some(point => !Array.isArray(point) || point.length < 3 || point.length > 4 || point.some(v => typeof v !== 'number' || !Number.isFinite(v)))) {
+            fail(`stroke ${i + 1} should have a list of [x, y, time] points`);
+        }
+        if (stroke.tool !== undefined && !TOOLS.includes(stroke.tool)) {
+            fail(`stroke ${i + 1} uses an unknown tool "${stroke.tool}"`);
+        }
+        if (typeof stroke.color !== 'string' || !Number.isInteger(stroke.density) || stroke.density < 1) {
+            fail(`stroke ${i + 1} is missing its brush colour or density`);
+        }
+    });
+}
+
+function copyStrokes(strokes) {
+    return strokes.map(stroke => ({ ...stroke, points: stroke.points.map(point => point.slice()) }));
+}
+
+// A strokes file for a stage of the given size: the engine's, which the points are in, not
+// a HiDPI canvas's pixel size
+export function exportStrokes(strokes, { width, height }) {
+    return {
+        format: STROKES_FORMAT,
+        version: STROKES_VERSION,
+        canvas: { width, height },
+        strokes: copyStrokes(strokes)
+    };
+}
+
+/**
+ * Validates a strokes file (JSON string or object) and returns its strokes, scaled to
+ * fit a stage of `width` × `height` (the engine's size) if it was drawn on a different size.
+ */
+export function importStrokes(input, { width, height }) {
+    let file = input;
+    if (typeof input === 'string') {
+        try {
+            file = JSON.parse(input);
+        } catch (error) {
+            throw new Error(`Not a Pixel Morph strokes file: the file is not valid JSON (${error.message})`);
+        }
+    }
+    if (!file || typeof file !== 'object' || file.format !== STROKES_FORMAT) {
+        throw new Error('Not a Pixel Morph strokes file');
+    }
+    if (file.version > STROKES_VERSION) {
+        throw new Error(`These strokes were saved by a newer version of Pixel Morph (format v${file.version}); this version can open up to v${STROKES_VERSION}`);
+    }
+    const fail = (message) => {
+        throw new Error(`Corrupt strokes file: ${message}`);
+    };
+    if (!file.canvas || !(file.canvas.width > 0) || !(file.canvas.height > 0)) {
+        fail('canvas size is missing');
+    }
+    validateStrokes(file.strokes, fail);
+
+    const sx = width / file.canvas.width;
+    const sy = height / file.canvas.height;
+    return file.strokes.map(stroke => {
+        const scaled = {
+            ...stroke,
+            points: stroke.points.map(([x, y, ...rest]) => [Math.round(x * sx * 10) / 10, Math.round(y * sy * 10) / 10, ...rest])
+        };
+        if (typeof stroke.radius === 'number') {
+            scaled.radius = Math.max(1, Math.round(stroke.radius * (sx + sy) / 2));
+        }
+        return scaled;
+    });
+}
+
+/**
+ * Named stroke sets kept in localStorage, stored as strokes files so they rescale
+ * like imports when the canvas size differs.
+ */
+export class GestureLibrary {
+    constructor(storage = localStorage) {
+        this.storage = storage;
+    }
+
+    read() {
+        try {
+            return JSON.parse(this.storage.getItem(GESTURES_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    write(gestures) {
+        this.storage.setItem(GESTURES_KEY, JSON.stringify(gestures));
+    }
+
+    names() {
+        return Object.keys(this.read()).sort((a, b) => a.localeCompare(b));
+    }
+
+    // `stage` is the engine (or anything with its width and height), as for exportStrokes()
+    save(name, strokes, stage) {
+        const gestures = this.read();
+        gestures[name] = exportStrokes(strokes, stage);
+        this.write(gestures);
+    }
+
+    // Strokes scaled to `stage`, or null if there's no gesture by that name
+    load(name, stage) {
+        const gesture = this.read()[name];
+        return gesture ? importStrokes(gesture, stage) : null;
+    }
+
+    remove(name) {
+        const gestures = this.read();
+        delete gestures[name];
+        this.write(gestures);
+    }
+}
@@ -0,0 +1,99 @@
+/**
+ * Pixel Morph - Target Sampler
+ * Main-thread client for the sampling worker. Only the most recent request is kept:
+ * starting a new one cancels the previous job. Falls back to sampling on the main
+ * thread where module workers are unavailable.
+ */
+
+import { sampleTargetPool, unpackPool } from './sampling.js';
+
+export class TargetSampler {
+    constructor({ onProgress = () => {} } = {}) {
+        this.onProgress = onProgress;
+        this.nextId = 1;
+        this.pending = null;
+        this.worker = null;
+
+        try {
+            this.worker = new Worker(new URL('./samplingWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.handleMessage(e.data);
+            this.worker.onerror = (e) => {
+                console.warn('Sampling worker failed, sampling on the main thread instead:', e.message);
+                this.fallBack();
+            };
+        } catch (err) {
+            this.worker = null;
+        }
+    }
+
+    // Resolves with the sampled pool, or null if a newer request superseded this one.
+    // `options` are sampleTargetPool's (step, mode, mask, ...).
+    sample(imageData, options = {}) {
+        this.cancel();
+        const id = this.nextId++;
+
+        if (!this.worker) {
+            const pool = sampleTargetPool(imageData, options);
+            this.onProgress(1);
+            return Promise.resolve(pool);
+        }
+
+        return new Promise((resolve) => {
+            this.pending = { id, resolve, imageData, options };
+            // Transfer a copy so the caller keeps its ImageData for later resampling
+            const buffer = imageData.data.slice().buffer;
+            this.worker.postMessage({
+                type: 'sample',
+                id,
+                width: imageData.width,
+                height: imageData.height,
+                options,
+                buffer
+            }, [buffer]);
+        });
+    }
+
+    cancel() {
+        if (!this.pending) return;
+        if (this.worker) {
+            this.worker.postMessage({ type: 'cancel', id: this.pending.id });
+        }
+        this.pending.resolve(null);
+        this.pending = null;
+    }
+
+    // Stops the worker for good, cancelling any request; later samples run on the main thread
+    terminate() {
+        this.cancel();
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    handleMessage(message) {
+        if (!this.pending || message.id !== this.pending.id) return; // Result of a superseded job
+
+        if (message.type === 'progress') {
+            this.onProgress(message.progress);
+        } else if (message.type === 'done') {
+            const { resolve } = this.pending;
+            this.pending = null;
+            this.onProgress(1);
+            resolve(unpackPool(message));
+        }
+    }
+
+    fallBack() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        if (this.pending) {
+            const { resolve, imageData, options } = this.pending;
+            this.pending = null;
+            resolve(sampleTargetPool(imageData, options));
+            this.onProgress(1);
+        }
+    }
+}
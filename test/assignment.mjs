@@ -0,0 +1,46 @@
+/**
+ * Pixel Morph - Assignment Check
+ * Times solveAssignment() on 50,000 particles scribbled into one corner of a 600 × 450
+ * stage - the layout that leaves most particles looking far afield for a free slot - and
+ * checks every particle gets a slot of its own.
+ *
+ * Run from the repository root: node test/assignment.mjs
+ * (Node 22+; on Node 20 add --experimental-detect-module)
+ */
+
+import assert from 'node:assert/strict';
+import { solveAssignment } from '../assignment.js';
+import { createRandom } from '../random.js';
+
+const WIDTH = 600;
+const HEIGHT = 450;
+const PARTICLES = 50000;
+const CLUSTER_SIZE = 100; // The particles sit in a square this size in the top-left corner
+// Generous for a slow CI machine; the grid search this replaced took minutes
+const TIME_LIMIT = 3000;
+
+const random = createRandom(7);
+const step = Math.sqrt(WIDTH * HEIGHT / (PARTICLES * 1.05));
+const slots = [];
+for (let y = step / 2; y < HEIGHT; y += step) {
+    for (let x = step / 2; x < WIDTH; x += step) {
+        slots.push({ x, y, r: 0, g: 0, b: 0 });
+    }
+}
+const sources = Array.from({ length: PARTICLES }, () => ({
+    x: random() * CLUSTER_SIZE,
+    y: random() * CLUSTER_SIZE,
+    r: 0,
+    g: 0,
+    b: 0
+}));
+
+const start = performance.now();
+const slotOf = solveAssignment(sources, slots, { width: WIDTH, height: HEIGHT });
+const elapsed = performance.now() - start;
+
+assert.equal(slotOf.length, PARTICLES);
+assert.equal(new Set(slotOf).size, PARTICLES, 'Two particles were given the same slot');
+assert.ok(slotOf.every(j => j >= 0 && j < slots.length), 'A particle was given no slot');
+assert.ok(elapsed < TIME_LIMIT, `Assigning ${PARTICLES} clustered particles took ${elapsed.toFixed(0)} ms`);
+console.log(`ok - ${PARTICLES} clustered particles assigned in ${elapsed.toFixed(0)} ms`);
@@ -0,0 +1,83 @@
+/**
+ * Pixel Morph - Determinism Check
+ * Seeds MorphEngine, plays a fixed sequence of brush dabs, steps a set number of frames
+ * and compares a hash of the particle store against the recorded one, so a change that
+ * breaks seeded reproducibility (or quietly changes the simulation) is caught.
+ *
+ * Run from the repository root: node test/determinism.mjs
+ * (Node 22+; on Node 20 add --experimental-detect-module). If the simulation is meant to
+ * change, re-run with --update and commit the new hash.
+ */
+
+import assert from 'node:assert/strict';
+import { MorphEngine } from '../engine.js';
+import { FLOAT_FIELDS } from '../particleStore.js';
+
+const EXPECTED_HASH = 'bc58aee9';
+const SEED = 42;
+const WIDTH = 120;
+const HEIGHT = 90;
+const FRAMES = 240;
+
+// A small ImageData-like target: a diagonal colour gradient with a dark disc in the middle
+function targetImage() {
+    const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+    for (let y = 0; y < HEIGHT; y++) {
+        for (let x = 0; x < WIDTH; x++) {
+            const i = (y * WIDTH + x) * 4;
+            const inDisc = (x - WIDTH / 2) ** 2 + (y - HEIGHT / 2) ** 2 < 20 ** 2;
+            data[i] = inDisc ? 20 : x * 2;
+            data[i + 1] = inDisc ? 20 : y * 2;
+            data[i + 2] = inDisc ? 40 : 255 - x;
+            data[i + 3] = 255;
+        }
+    }
+    return { width: WIDTH, height: HEIGHT, data };
+}
+
+// FNV-1a over the bytes of every live value in the store
+function hashStore(store) {
+    let hash = 2166136261;
+    const add = bytes => {
+        for (let i = 0; i < bytes.length; i++) {
+            hash = Math.imul(hash ^ bytes[i], 16777619);
+        }
+    };
+    FLOAT_FIELDS.forEach(field => {
+        add(new Uint8Array(store[field].buffer, 0, store.count * 8));
+    });
+    add(store.morphed.subarray(0, store.count));
+    add(store.fading.subarray(0, store.count));
+    add(store.colors.subarray(0, store.count * 4));
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+function run() {
+    const engine = new MorphEngine({ width: WIDTH, height: HEIGHT, seed: SEED });
+    engine.setTarget(targetImage(), { step: 3 });
+    // A stroke across the canvas, a few dabs in random colours and a second stroke over it
+    for (let k = 0; k < 12; k++) {
+        engine.spawn(10 + k * 8, 20 + k * 4, { color: '#ff6b6b', count: 15, radius: 10 });
+    }
+    for (let k = 0; k < 4; k++) {
+        engine.spawn(100 - k * 20, 70, { count: 20, radius: 12, randomColors: true });
+    }
+    engine.startMorph();
+    for (let frame = 0; frame < FRAMES; frame++) {
+        if (frame === 60) engine.spawn(60, 45, { color: '#4ecdc4', count: 30, radius: 15 });
+        engine.step();
+    }
+    return { hash: hashStore(engine.store), count: engine.store.count };
+}
+
+const first = run();
+const second = run();
+assert.equal(second.hash, first.hash, 'Two runs with the same seed diverged');
+assert.ok(first.count > 0, 'No particles were spawned');
+
+if (process.argv.includes('--update')) {
+    console.log(`Store hash is ${first.hash}; set EXPECTED_HASH to it`);
+} else {
+    assert.equal(first.hash, EXPECTED_HASH, `Store hash ${first.hash} differs from the recorded ${EXPECTED_HASH}`);
+    console.log(`ok - ${first.count} particles after ${FRAMES} frames, hash ${first.hash}`);
+}
@@ -0,0 +1,94 @@
+/**
+ * Pixel Morph - Morph Timeline
+ * Records a morph as it plays - a keyframe snapshot every few frames - so it can be
+ * scrubbed back and forth afterwards. Keyframes thin out as a long or busy morph fills
+ * the memory budget, so the timeline stays bounded at the cost of coarser seeking.
+ */
+
+import { snapshotBytes } from './history.js';
+
+// Particles snapshotted per frame, on average: bigger morphs start with keyframes further
+// apart so recording doesn't slow every frame down
+const PARTICLES_PER_FRAME = 2500;
+
+export class MorphTimeline {
+    constructor(engine, { maxBytes = 48 * 1024 * 1024 } = {}) {
+        this.engine = engine;
+        this.maxBytes = maxBytes;
+        this.clear();
+    }
+
+    get length() {
+        return this.keyframes.length;
+    }
+
+    // The last frame recorded, counted from the start of the morph
+    get duration() {
+        return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].frame : 0;
+    }
+
+    clear() {
+        this.keyframes = []; // { frame, frameCount, morphStartFrame, snapshot }, in order
+        this.bytes = 0;
+        this.interval = 1; // Frames between keyframes
+        this.recording = false;
+    }
+
+    // Starts a new recording from the engine's current frame (call as the morph starts)
+    start() {
+        this.clear();
+        // A power of two, so thin() can keep halving the keyframes evenly
+        while (this.engine.store.count / this.interval > PARTICLES_PER_FRAME) {
+            this.interval *= 2;
+        }
+        this.startFrame = this.engine.frameCount;
+        this.recording = true;
+        this.capture();
+    }
+
+    // Records the current frame if it falls on a keyframe; call after every engine step
+    capture() {
+        if (!this.recording) return;
+        const frame = this.engine.frameCount - this.startFrame;
+        if (frame % this.interval !== 0) return;
+        const snapshot = this.engine.snapshot();
+        this.keyframes.push({ frame, frameCount: this.engine.frameCount, morphStartFrame: this.engine.morphStartFrame, snapshot });
+        this.bytes += snapshotBytes(snapshot);
+        while (this.bytes > this.maxBytes && this.keyframes.length > 2) {
+            this.thin();
+        }
+    }
+
+    stop() {
+        this.recording = false;
+    }
+
+    // Keeps every other keyframe and records half as often from now on
+    thin() {
+        this.interval *= 2;
+        this.keyframes = this.keyframes.filter(keyframe => keyframe.frame % this.interval === 0);
+        this.bytes = this.keyframes.reduce((sum, keyframe) => sum + snapshotBytes(keyframe.snapshot), 0);
+    }
+
+    /**
+     * Puts the engine back to keyframe `index` (0 to length - 1), particles, frame counter
+     * and all, and returns the keyframe. The morph carries on from there when the engine
+     * is stepped; call resumeFrom() first to record over the rest.
+     */
+    seek(index) {
+        const keyframe = this.keyframes[Math.max(0, Math.min(this.keyframes.length - 1, index))];
+        if (!keyframe) return null;
+        this.engine.restore(keyframe.snapshot);
+        this.engine.frameCount = keyframe.frameCount;
+        this.engine.morphStartFrame = keyframe.morphStartFrame;
+        this.engine.isMorphing = true;
+        return keyframe;
+    }
+
+    // Drops the keyframes after `index` and records again from there
+    resumeFrom(index) {
+        this.keyframes.length = Math.min(this.keyframes.length, index + 1);
+        this.bytes = this.keyframes.reduce((sum, keyframe) => sum + snapshotBytes(keyframe.snapshot), 0);
+        this.recording = true;
+    }
+}
@@ -0,0 +1,66 @@
+/**
+ * Pixel Morph - Drawing Tools
+ * The brush tools and the geometry behind the shape tools: outlines for lines,
+ * rectangles and ellipses, and evenly spaced points along them to emit particles from.
+ */
+
+// spray: dabs of particles under the brush; eraser: removes particles under the brush;
+// line / rectangle / ellipse: drag out a shape; fill: fills a region of the target image
+export const TOOLS = ['spray', 'eraser', 'line', 'rectangle', 'ellipse', 'fill'];
+export const SHAPE_TOOLS = ['line', 'rectangle', 'ellipse'];
+
+// Segments used to approximate an ellipse
+const ELLIPSE_SEGMENTS = 64;
+
+// The shape dragged from (x0, y0) to (x1, y1) as a polyline; closed shapes repeat their first vertex
+export function outline(tool, x0, y0, x1, y1) {
+    switch (tool) {
+        case 'line':
+            return [[x0, y0], [x1, y1]];
+        case 'rectangle':
+            return [[x0, y0], [x1, y0], [x1, y1], [x0, y1], [x0, y0]];
+        case 'ellipse': {
+            // Inscribed in the dragged rectangle
+            const cx = (x0 + x1) / 2;
+            const cy = (y0 + y1) / 2;
+            const rx = Math.abs(x1 - x0) / 2;
+            const ry = Math.abs(y1 - y0) / 2;
+            return Array.from({ length: ELLIPSE_SEGMENTS + 1 }, (_, i) => {
+                const angle = i / ELLIPSE_SEGMENTS * Math.PI * 2;
+                return [cx + Math.cos(angle) * rx, cy + Math.sin(angle) * ry];
+            });
+        }
+        default:
+            throw new Error(`"${tool}" is not a shape tool`);
+    }
+}
+
+// Points every `spacing` pixels along a polyline, starting at its first vertex
+export function pointsAlong(polyline, spacing) {
+    const points = [polyline[0].slice()];
+    let carried = 0; // Distance travelled since the last point
+    for (let i = 1; i < polyline.length; i++) {
+        const [ax, ay] = polyline[i - 1];
+        const [bx, by] = polyline[i];
+        const length = Math.hypot(bx - ax, by - ay);
+        let at = spacing - carried;
+        while (at <= length) {
+            const t = at / length;
+            points.push([ax + (bx - ax) * t, ay + (by - ay) * t]);
+            at += spacing;
+        }
+        carried = (carried + length) % spacing;
+    }
+    return points;
+}
+
+// Strokes the shape's outline, e.g. as a preview while it is being dragged
+export function drawOutline(ctx, tool, x0, y0, x1, y1) {
+    const polyline = outline(tool, x0, y0, x1, y1);
+    ctx.beginPath();
+    polyline.forEach(([x, y], i) => {
+        if (i === 0) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+    });
+    ctx.stroke();
+}
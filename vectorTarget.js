@@ -0,0 +1,157 @@
+/**
+ * Pixel Morph - Vector Targets
+ * Text and SVG targets. Both become SVG data URLs, so they load, fit, save and re-render
+ * like any other target image - but stay crisp at every canvas size, and SVGs can be
+ * drawn as outlines as well as fills.
+ */
+
+export const TEXT_ALIGNS = ['left', 'center', 'right'];
+
+// 'fill' draws an SVG as it is; 'outline' traces its shapes' edges instead of filling
+// them; 'both' does both
+export const SVG_RENDER_MODES = ['fill', 'outline', 'both'];
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const SVG_DATA_PREFIX = 'data:image/svg+xml';
+
+// Elements that are drawn; outlining gives each a stroke
+const SHAPES = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'text']);
+// Elements whose contents are only drawn through a reference, if at all
+const NOT_DRAWN = new Set(['defs', 'clipPath', 'mask', 'symbol', 'marker', 'pattern', 'style', 'title', 'desc', 'metadata']);
+
+// Room left around a bare path, as a fraction of its larger side
+const PATH_MARGIN = 0.05;
+
+function escapeXml(text) {
+    return text.replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+export function svgToDataURL(svg) {
+    return `${SVG_DATA_PREFIX};charset=utf-8,${encodeURIComponent(svg)}`;
+}
+
+export function isSvgSource(src) {
+    return src.startsWith(SVG_DATA_PREFIX);
+}
+
+// The markup in an SVG data URL (plain or base64), or null for any other source
+export function svgFromDataURL(src) {
+    if (!isSvgSource(src)) return null;
+    const comma = src.indexOf(',');
+    const data = src.slice(comma + 1);
+    if (src.slice(0, comma).endsWith(';base64')) {
+        return new TextDecoder().decode(Uint8Array.from(atob(data), c => c.charCodeAt(0)));
+    }
+    return decodeURIComponent(data);
+}
+
+// Parses SVG markup into its root element, throwing if it isn't an SVG image
+function parseSvg(markup) {
+    const doc = new DOMParser().parseFromString(markup, 'image/svg+xml');
+    const root = doc.documentElement;
+    if (doc.querySelector('parsererror') || root.localName !== 'svg') {
+        throw new Error('Not an SVG image');
+    }
+    return root;
+}
+
+/**
+ * Checks uploaded SVG markup and gives it a size in pixels (from its viewBox if it has
+ * none, or only a relative one), since images without one load at an arbitrary
+ * 300 × 150. Returns the markup to use; throws if it isn't an SVG image.
+ */
+export function normalizeSvg(markup) {
+    const root = parseSvg(markup);
+    const absolute = value => /^\s*[\d.]+(px)?\s*$/.test(value || '');
+    if (!absolute(root.getAttribute('width')) || !absolute(root.getAttribute('height'))) {
+        const viewBox = (root.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+        if (viewBox.length !== 4 || !(viewBox[2] > 0 && viewBox[3] > 0)) {
+            throw new Error('The SVG has neither a size nor a viewBox');
+        }
+        root.setAttribute('width', viewBox[2]);
+        root.setAttribute('height', viewBox[3]);
+    }
+    return new XMLSerializer().serializeToString(root);
+}
+
+/**
+ * SVG markup for `text` (lines split on newlines) on a transparent `width` × `height`
+ * canvas, the block of lines centred vertically. `size` is in pixels; `font` is a CSS
+ * font-family list and `weight` a CSS font-weight.
+ */
+export function textToSvg(text, { width, height, font = 'sans-serif', weight = 700, size = 120, align = 'center', color = '#ffffff', lineHeight = 1.15 }) {
+    if (!TEXT_ALIGNS.includes(align)) {
+        throw new Error(`Unknown text alignment "${align}"`);
+    }
+    const lines = text.split('\n');
+    const margin = size * 0.25;
+    const x = align === 'left' ? margin : align === 'right' ? width - margin : width / 2;
+    const anchor = { left: 'start', center: 'middle', right: 'end' }[align];
+    const top = height / 2 - (lines.length - 1) * size * lineHeight / 2;
+    const tspans = lines.map((line, i) =>
+        `<tspan x="${x}" y="${top + i * size * lineHeight}">${escapeXml(line)}</tspan>`).join('');
+    return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">` +
+        `<text font-family="${escapeXml(font)}" font-weight="${weight}" font-size="${size}" fill="${escapeXml(color)}" ` +
+        `text-anchor="${anchor}" dominant-baseline="central" xml:space="preserve">${tspans}</text></svg>`;
+}
+
+/**
+ * SVG markup for path data (the `d` attribute of an SVG <path>), sized to the path's
+ * bounds. Needs a document to measure the path in; throws if it draws nothing.
+ */
+export function pathToSvg(d, { color = '#ffffff' } = {}) {
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('style', 'position: absolute; visibility: hidden; width: 0; height: 0');
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('d', d);
+    svg.appendChild(path);
+    document.body.appendChild(svg);
+    let box;
+    try {
+        box = path.getBBox();
+    } finally {
+        svg.remove();
+    }
+    if (!(box.width > 0 || box.height > 0)) {
+        throw new Error('The path data draws nothing');
+    }
+
+    const margin = Math.max(box.width, box.height) * PATH_MARGIN;
+    const width = box.width + margin * 2;
+    const height = box.height + margin * 2;
+    return `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="${box.x - margin} ${box.y - margin} ${width} ${height}">` +
+        `<path d="${escapeXml(d)}" fill="${escapeXml(color)}"/></svg>`;
+}
+
+// An element's own value for a paint property (inline style first), or `inherited`
+function paintOf(element, name, inherited) {
+    return element.style.getPropertyValue(name) || element.getAttribute(name) || inherited;
+}
+
+function outlineShapes(element, { fill, stroke }, options) {
+    if (NOT_DRAWN.has(element.localName)) return;
+    const own = { fill: paintOf(element, 'fill', fill), stroke: paintOf(element, 'stroke', stroke) };
+    if (SHAPES.has(element.localName)) {
+        // Edges take the shape's stroke colour, or its fill colour if it has no stroke
+        const edge = own.stroke !== 'none' ? own.stroke : own.fill;
+        if (edge !== 'none') {
+            element.style.setProperty('stroke', edge);
+            element.style.setProperty('stroke-width', `${options.strokeWidth}px`);
+            element.style.setProperty('vector-effect', 'non-scaling-stroke');
+            if (!options.keepFill) element.style.setProperty('fill', 'none');
+        }
+    }
+    Array.from(element.children).forEach(child => outlineShapes(child, own, options));
+}
+
+/**
+ * Redraws SVG markup with every shape's edges traced `strokeWidth` pixels wide (however
+ * the image is scaled), so sampling picks up outlines; `keepFill` keeps the fills too.
+ * Shapes drawn only through <use> references keep their fills.
+ */
+export function outlineSvg(markup, { strokeWidth = 2, keepFill = false } = {}) {
+    const root = parseSvg(markup);
+    // SVG's initial paint: filled black, no stroke
+    outlineShapes(root, { fill: 'black', stroke: 'none' }, { strokeWidth, keepFill });
+    return new XMLSerializer().serializeToString(root);
+}
@@ -0,0 +1,138 @@
+/**
+ * Pixel Morph - Video Target
+ * Samples a playing <video> (file or webcam) into fresh target pools, spreading the
+ * sampling work across animation frames so drawing stays responsive.
+ */
+
+import { sampleTargetPoolIncrementally } from './sampling.js';
+import { fitImage } from './canvasSize.js';
+
+export class VideoTarget {
+    constructor({ width, height, step = 4, sampleEvery = 6, budget = 8000, onPool = () => {} }) {
+        this.width = width;
+        this.height = height;
+        this.step = step;
+        this.sampleEvery = sampleEvery; // Frames between the end of one sample and the start of the next
+        this.budget = budget; // Grid pixels scanned per animation frame
+        this.onPool = onPool;
+        this.sampling = {}; // Other sampleTargetPool options (mode, mask, background removal)
+        this.fit = 'contain'; // How frames are placed on the canvas (see canvasSize.js)
+        this.crop = null;
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.video.loop = true;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.ctx = this.canvas.getContext('2d', { willReadFrequently: true });
+
+        this.stream = null;
+        this.objectUrl = null;
+        this.mirror = false;
+        this.job = null;
+        this.framesUntilSample = 0;
+        this.active = false;
+    }
+
+    static isWebcamSupported() {
+        return typeof navigator !== 'undefined' && !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia);
+    }
+
+    async useFile(file) {
+        this.stop();
+        this.objectUrl = URL.createObjectURL(file);
+        this.video.srcObject = null;
+        this.video.src = this.objectUrl;
+        this.mirror = false;
+        await this.video.play();
+        this.active = true;
+    }
+
+    async useWebcam() {
+        if (!VideoTarget.isWebcamSupported()) {
+            throw new Error('Webcam capture is not supported in this browser');
+        }
+        this.stop();
+        this.stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
+        this.video.removeAttribute('src');
+        this.video.srcObject = this.stream;
+        this.mirror = true; // Selfie view feels natural for a webcam
+        await this.video.play();
+        this.active = true;
+    }
+
+    stop() {
+        this.active = false;
+        this.job = null;
+        this.framesUntilSample = 0;
+        this.video.pause();
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+
+    setStep(step) {
+        this.step = step;
+        this.job = null; // Restart the in-flight sample at the new resolution
+    }
+
+    // Only LIVE_SAMPLING_MODES keep up with video; see sampling.js for the options
+    setSampling(options) {
+        this.sampling = options;
+        this.job = null;
+    }
+
+    // Samples at a new canvas size from the next frame on
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.job = null;
+        this.framesUntilSample = 0;
+    }
+
+    // Call once per animation frame
+    tick() {
+        if (!this.active || this.video.readyState < 2) return;
+
+        if (!this.job) {
+            if (this.framesUntilSample > 0) {
+                this.framesUntilSample--;
+                return;
+            }
+            this.job = sampleTargetPoolIncrementally(this.captureFrame(), { ...this.sampling, step: this.step, budget: this.budget });
+        }
+
+        const result = this.job.next();
+        if (result.done) {
+            this.job = null;
+            this.framesUntilSample = this.sampleEvery;
+            this.onPool(result.value, this.step);
+        }
+    }
+
+    // Draws the current video frame onto the sampling canvas, placed by the fit mode
+    captureFrame() {
+        const { sx, sy, sw, sh, dx, dy, dw, dh } = fitImage(this.fit, this.video.videoWidth, this.video.videoHeight, this.width, this.height, this.crop);
+
+        this.ctx.clearRect(0, 0, this.width, this.height);
+        this.ctx.save();
+        if (this.mirror) {
+            this.ctx.translate(this.width, 0);
+            this.ctx.scale(-1, 1);
+        }
+        this.ctx.drawImage(this.video, sx, sy, sw, sh, dx, dy, dw, dh);
+        this.ctx.restore();
+
+        return this.ctx.getImageData(0, 0, this.width, this.height);
+    }
+}
@@ -0,0 +1,95 @@
+/**
+ * Pixel Morph - Canvas Viewport
+ * Zoom and pan of the canvas view. Only the on-screen view is transformed (with CSS), so
+ * the canvas pixels, downloads and recordings are unaffected; pointer positions still map
+ * to canvas coordinates through getBoundingClientRect().
+ */
+
+export const MIN_ZOOM = 1;
+export const MAX_ZOOM = 8;
+
+export class CanvasViewport {
+    // `view` clips the zoomed content; `stage` (inside it) holds the canvases and is transformed
+    constructor(view, stage) {
+        this.view = view;
+        this.stage = stage;
+        this.scale = 1;
+        this.x = 0; // Stage offset within the view, in CSS pixels
+        this.y = 0;
+        this.pinch = null;
+    }
+
+    get zoomed() {
+        return this.scale > MIN_ZOOM;
+    }
+
+    // A client (screen) position relative to the view's top-left corner
+    localPoint(clientX, clientY) {
+        const rect = this.view.getBoundingClientRect();
+        return { x: clientX - rect.left, y: clientY - rect.top };
+    }
+
+    // Sets the zoom, keeping the point under (cx, cy) in view coordinates where it is
+    zoomAt(scale, cx, cy) {
+        const next = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale));
+        this.x = cx - (cx - this.x) * (next / this.scale);
+        this.y = cy - (cy - this.y) * (next / this.scale);
+        this.scale = next;
+        this.apply();
+    }
+
+    panBy(dx, dy) {
+        this.x += dx;
+        this.y += dy;
+        this.apply();
+    }
+
+    reset() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.pinch = null;
+        this.apply();
+    }
+
+    // Two-finger gestures: call with both pointers' client positions as they move
+    startPinch(a, b) {
+        this.pinch = {
+            distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            mid: this.localPoint((a.x + b.x) / 2, (a.y + b.y) / 2),
+            scale: this.scale,
+            x: this.x,
+            y: this.y
+        };
+    }
+
+    movePinch(a, b) {
+        const start = this.pinch;
+        if (!start) return;
+        const mid = this.localPoint((a.x + b.x) / 2, (a.y + b.y) / 2);
+        const scale = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, start.scale * Math.hypot(b.x - a.x, b.y - a.y) / start.distance));
+        // The content that was under the starting midpoint follows the fingers
+        this.x = mid.x - (start.mid.x - start.x) * (scale / start.scale);
+        this.y = mid.y - (start.mid.y - start.y) * (scale / start.scale);
+        this.scale = scale;
+        this.apply();
+    }
+
+    endPinch() {
+        this.pinch = null;
+    }
+
+    // Keeps the view covered by the canvas, so it can't be panned off screen
+    clamp() {
+        const width = this.view.clientWidth;
+        const height = this.view.clientHeight;
+        this.x = Math.min(0, Math.max(width - width * this.scale, this.x));
+        this.y = Math.min(0, Math.max(height - height * this.scale, this.y));
+    }
+
+    apply() {
+        this.clamp();
+        this.stage.style.transform = this.zoomed ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})` : '';
+        this.view.classList.toggle('zoomed', this.zoomed);
+    }
+}
@@ -0,0 +1,235 @@
+/**
+ * Pixel Morph - WebGL Renderer
+ * Draws every particle in one call as point sprites, uploading positions and colours
+ * straight from the ParticleStore's typed arrays. Renders into its own canvas, which
+ * the engine composites onto the 2D canvas so trails, downloads and recording still work.
+ * Positions are in canvas (CSS) pixels; `pixelRatio` renders them at a higher resolution.
+ */
+
+const VERTEX_SHADER = `
+attribute vec3 a_point; // Centre x, y and size, in canvas pixels
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+uniform float u_scale;
+varying vec4 v_color;
+
+void main() {
+    vec2 clip = a_point.xy / u_resolution * 2.0 - 1.0;
+    gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+    gl_PointSize = a_point.z * u_scale;
+    v_color = a_color;
+}
+`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform int u_shape; // 0 square, 1 circle, 2 star, 3 sprite
+uniform sampler2D u_sprite;
+uniform bool u_tint;
+varying vec4 v_color;
+
+void main() {
+    vec4 color = v_color;
+    vec2 p = gl_PointCoord * 2.0 - 1.0;
+    if (u_shape == 1) {
+        if (dot(p, p) > 1.0) discard;
+    } else if (u_shape == 2) {
+        // Five points, the first straight up
+        float angle = atan(p.x, -p.y);
+        float edge = mix(0.45, 1.0, pow(abs(cos(2.5 * angle)), 4.0));
+        if (length(p) > edge) discard;
+    } else if (u_shape == 3) {
+        vec4 texel = texture2D(u_sprite, gl_PointCoord);
+        color = u_tint ? vec4(texel.rgb * color.rgb, texel.a * color.a) : vec4(texel.rgb, texel.a * color.a);
+    }
+    gl_FragColor = vec4(color.rgb * color.a, color.a); // Premultiplied
+}
+`;
+
+const SHAPE_IDS = { square: 0, circle: 1, star: 2, sprite: 3 };
+
+let supported = null;
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+function compile(gl, type, source) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`WebGL shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+    }
+    return shader;
+}
+
+export class WebGLRenderer {
+    static isSupported() {
+        if (supported === null) {
+            try {
+                supported = typeof document !== 'undefined' && !!createCanvas(1, 1).getContext('webgl');
+            } catch {
+                supported = false;
+            }
+        }
+        return supported;
+    }
+
+    static markUnsupported() {
+        supported = false;
+    }
+
+    // Glyphs need text layout, which only the 2D canvas has
+    static supportsStyle(style) {
+        return style.shape in SHAPE_IDS;
+    }
+
+    constructor(width, height) {
+        this.canvas = createCanvas(width, height);
+        const gl = this.canvas.getContext('webgl', { antialias: false, premultipliedAlpha: true });
+        if (!gl) {
+            throw new Error('WebGL is not available');
+        }
+        this.gl = gl;
+
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl, gl.VERTEX_SHADER, VERTEX_SHADER));
+        gl.attachShader(program, compile(gl, gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`WebGL program failed to link: ${gl.getProgramInfoLog(program)}`);
+        }
+        gl.useProgram(program);
+        this.program = program;
+
+        this.attributes = {
+            point: gl.getAttribLocation(program, 'a_point'),
+            color: gl.getAttribLocation(program, 'a_color')
+        };
+        this.uniforms = {
+            resolution: gl.getUniformLocation(program, 'u_resolution'),
+            scale: gl.getUniformLocation(program, 'u_scale'),
+            shape: gl.getUniformLocation(program, 'u_shape'),
+            sprite: gl.getUniformLocation(program, 'u_sprite'),
+            tint: gl.getUniformLocation(program, 'u_tint')
+        };
+
+        this.region = { x: 0, y: 0, width, height }; // Part of the canvas the last draw() used
+        this.pointBuffer = gl.createBuffer();
+        this.colorBuffer = gl.createBuffer();
+        this.points = new Float32Array(0);
+        this.colors = new Uint8Array(0);
+
+        this.spriteTexture = gl.createTexture();
+        this.spriteSource = null;
+
+        gl.enable(gl.BLEND);
+        this.resize(width, height);
+    }
+
+    // The engine falls back to Canvas 2D if the GPU drops the context
+    get lost() {
+        return this.gl.isContextLost();
+    }
+
+    resize(width, height) {
+        this.width = width;
+        this.height = height;
+        this.canvas.width = width;
+        this.canvas.height = height;
+        this.gl.uniform2f(this.uniforms.resolution, width, height);
+    }
+
+    /**
+     * Draws the store's particles with `style` (a RenderStyle); `step` is the sampling step
+     * and `scale` multiplies every size.
+     * The image lands in `region` of the canvas, `pixelRatio` times the canvas size. The
+     * canvas only ever grows, so alternating ratios (screen and a high-res export) don't
+     * reallocate it every frame.
+     */
+    draw(store, style, { step = 2, pixelRatio = 1, scale = 1 } = {}) {
+        const gl = this.gl;
+        const width = Math.round(this.width * pixelRatio);
+        const height = Math.round(this.height * pixelRatio);
+        if (this.canvas.width < width || this.canvas.height < height) {
+            this.canvas.width = Math.max(this.canvas.width, width);
+            this.canvas.height = Math.max(this.canvas.height, height);
+        }
+        // GL's origin is bottom-left, so the region sits at the bottom of the canvas
+        gl.viewport(0, 0, width, height);
+        this.region = { x: 0, y: this.canvas.height - height, width, height };
+
+        const count = store.count;
+        if (this.points.length < count * 3) {
+            this.points = new Float32Array(store.capacity * 3);
+            this.colors = new Uint8Array(store.capacity * 4);
+        }
+
+        // Sizes only vary per particle when they follow brightness
+        const fixedSize = style.sizeMode === 'brightness' ? 0 : style.sizeOf(null, step, scale);
+        const { x, y, opacity, size, colors } = store;
+        const points = this.points;
+        const packed = this.colors;
+        for (let i = 0; i < count; i++) {
+            const s = fixedSize || style.sizeOf(store.handles[i], step, scale);
+            size[i] = s;
+            points[i * 3] = x[i] + s / 2;
+            points[i * 3 + 1] = y[i] + s / 2;
+            points[i * 3 + 2] = s;
+            const c = i * 4;
+            packed[c] = colors[c];
+            packed[c + 1] = colors[c + 1];
+            packed[c + 2] = colors[c + 2];
+            packed[c + 3] = colors[c + 3] * opacity[i];
+        }
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        if (count === 0) return;
+
+        // Premultiplied output: normal 'over' blending, or additive for glow
+        gl.blendFunc(gl.ONE, style.glow ? gl.ONE : gl.ONE_MINUS_SRC_ALPHA);
+
+        const shape = style.shape === 'sprite' && !style.sprite ? 'square' : style.shape;
+        gl.uniform1i(this.uniforms.shape, SHAPE_IDS[shape]);
+        gl.uniform1f(this.uniforms.scale, (shape === 'star' ? 1.3 : 1) * pixelRatio); // 1.3 matches the 2D star
+        if (shape === 'sprite') {
+            this.bindSprite(style.sprite);
+            gl.uniform1i(this.uniforms.tint, style.spriteTint ? 1 : 0);
+        }
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.pointBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, points.subarray(0, count * 3), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(this.attributes.point);
+        gl.vertexAttribPointer(this.attributes.point, 3, gl.FLOAT, false, 0, 0);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.colorBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, packed.subarray(0, count * 4), gl.DYNAMIC_DRAW);
+        gl.enableVertexAttribArray(this.attributes.color);
+        gl.vertexAttribPointer(this.attributes.color, 4, gl.UNSIGNED_BYTE, true, 0, 0);
+
+        gl.drawArrays(gl.POINTS, 0, count);
+    }
+
+    // Uploads the sprite image once per new source
+    bindSprite(sprite) {
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.spriteTexture);
+        gl.uniform1i(this.uniforms.sprite, 0);
+        if (this.spriteSource === sprite) return;
+
+        // Sprites are rarely powers of two, which WebGL 1 only allows without mipmaps or wrapping
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, sprite);
+        this.spriteSource = sprite;
+    }
+}